@@ -0,0 +1,48 @@
+// This is the time source that our GameClock uses when the game is being
+// played in a browser. A time source has three jobs:
+//	now() - tell the clock what time it is in milliseconds
+//	requestFrame(callback) - arrange for callback to be called on the next frame
+//	cancelFrame(id) - cancel a callback previously arranged with requestFrame
+// By keeping these in a separate object we can swap in a different time
+// source (see ManualTimeSource) when we want to control time ourselves.
+function AnimationFrameTimeSource() {
+	var millsecsPerFrame = 1000/60;
+
+	// We want to define a function called requestAnimationFrame,
+	// however it may be implemented differently across 
+	// different browsers. So we use this trick to find an
+	// implementation and make them all look the same.
+	var requestAnimationFrame = 
+			window.requestAnimationFrame ||
+			window.mozRequestAnimationFrame ||
+			window.webkitRequestAnimationFrame ||
+			window.msRequestAnimationFrame ||
+			function( animationCallback ) { return window.setTimeout(animationCallback, millsecsPerFrame);};
+	// And the same trick for cancelling a frame we've asked for.
+	var cancelAnimationFrame =
+			window.cancelAnimationFrame ||
+			window.mozCancelAnimationFrame ||
+			window.webkitCancelAnimationFrame ||
+			window.msCancelAnimationFrame ||
+			function( animationId ) { window.clearTimeout(animationId); };
+
+	this.now = function() {
+		// Use the high resolution timer if the browser has one as
+		// this is the same clock that requestAnimationFrame uses
+		// for the timestamp it passes to our callback.
+		return window.performance && window.performance.now ? window.performance.now() : Date.now();
+	};
+
+	this.requestFrame = function(callback) {
+		var self = this;
+		return requestAnimationFrame.call(window, function(timestamp) {
+			// If timestamp isn't passed to the callback, then
+			// we calculate the current time ourselves.
+			callback(timestamp || self.now());
+		});
+	};
+
+	this.cancelFrame = function(animationId) {
+		cancelAnimationFrame.call(window, animationId);
+	};
+}
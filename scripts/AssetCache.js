@@ -0,0 +1,158 @@
+// The AssetCache does the work that is the same for all of our caches
+// (ImageCache, AudioCache and DataCache): keeping track of what has loaded,
+// trying again when something fails and telling the game when everything is
+// ready. Each cache sub-classes it and gives it a function that loads one asset.
+// Parameters:
+//	loadAsset - function(url, loaded, failed) that starts loading one asset.
+//	            It calls loaded(asset) when it has loaded or failed(message) if
+//	            it can't be loaded.
+//	placeholder - optional function(url) returning something to use instead
+//	              of an asset that can't be loaded, so the game can carry on.
+function AssetCache(loadAsset, placeholder) {
+	var MAX_ATTEMPTS = 3;		// How many times we try to load an asset before giving up
+	var RETRY_DELAY_MS = 500;	// How long we wait before trying again
+
+	// Our cache is a javascript object that we are using as a map from the
+	// url of each asset to the loaded asset.
+	var cache = {};
+	// For each url we've been asked to load we keep a promise that is settled
+	// once it has loaded or we've given up on it.
+	var promises = {};
+	// We store an array of ready functions and execute all
+	// of them once all of the assets have loaded.
+	var readyFunctions = [];
+	var progressListeners = [];
+	var errorListeners = [];
+	var errors = [];
+
+	// Keep track of the number of assets we need to load
+	var numToLoad = 0;
+	// Keep track of the number of assets that have finished, loaded or not
+	var numFinished = 0;
+
+	// This function loads an array of assets. Each asset is specified as
+	// a Url. It returns a promise that is resolved once they have all finished.
+	this.load = function( arrOfUrls ) {
+		return Promise.all(arrOfUrls.map(function(url) {
+			return (promises[url] || loadOne(url)).catch(function() {
+				// A failed asset has already been reported to the error listeners.
+			});
+		}));
+	};
+
+	// This function will return one of the loaded assets
+	// from its internal cache.
+	this.get = function(assetToGet) {
+		return cache[assetToGet];
+	};
+
+	// Returns a promise of the asset. It is rejected if the asset can't be
+	// loaded and there's no placeholder for it.
+	this.getAsync = function(assetToGet) {
+		return promises[assetToGet] || Promise.reject(new Error(assetToGet + " hasn't been loaded"));
+	};
+
+	// This function allows the caller to specify a function to be called
+	// when all of the assets specified in the load function have finished.
+	// If they already have, the function is called straight away. It also
+	// returns a promise that is resolved at the same time.
+	this.ready = function( functionToRun ) {
+		var self = this;
+		return new Promise(function(resolve) {
+			readyFunctions.push(function() {
+				if ( functionToRun ) {
+					functionToRun();
+				}
+				resolve(self);
+			});
+			if ( isReady() ) {
+				callReadyFunctions();
+			}
+		});
+	};
+
+	this.isReady = function() {
+		return isReady();
+	};
+
+	// The listener is called each time an asset finishes with
+	// { url: "...", loaded: n, total: n }
+	this.addProgressListener = function(listener) {
+		progressListeners.push(listener);
+	};
+
+	// The listener is called with { url: "...", message: "...", attempts: n, placeholder: true/false }
+	// for each asset that couldn't be loaded.
+	this.addErrorListener = function(listener) {
+		errorListeners.push(listener);
+	};
+
+	// Returns the errors for all of the assets that couldn't be loaded.
+	this.getErrors = function() {
+		return errors.slice();
+	};
+
+	this.getProgress = function() {
+		return { loaded: numFinished, total: numToLoad };
+	};
+
+	function loadOne(url) {
+		numToLoad++;
+		promises[url] = new Promise(function(resolve, reject) {
+			var attempts = 0;
+			function attempt() {
+				attempts++;
+				loadAsset(url, function(asset) {
+					cache[url] = asset;
+					finished(url);
+					resolve(asset);
+				}, function(message) {
+					if ( attempts < MAX_ATTEMPTS ) {
+						setTimeout(attempt, RETRY_DELAY_MS*attempts);
+						return;
+					}
+					var substitute = placeholder ? placeholder(url) : undefined;
+					var error = { url: url, message: message, attempts: attempts, placeholder: substitute !== undefined };
+					errors.push(error);
+					errorListeners.forEach(function(listener) {
+						listener(error);
+					});
+					if ( substitute !== undefined ) {
+						cache[url] = substitute;
+						finished(url);
+						resolve(substitute);
+					} else {
+						finished(url);
+						reject(new Error(url + ": " + message));
+					}
+				});
+			}
+			attempt();
+		});
+		return promises[url];
+	}
+
+	function finished(url) {
+		numFinished++;
+		var progressEvent = { url: url, loaded: numFinished, total: numToLoad };
+		progressListeners.forEach(function(listener) {
+			listener(progressEvent);
+		});
+		if ( isReady() ) {
+			callReadyFunctions();
+		}
+	}
+
+	function isReady() {
+		return numToLoad > 0 && numFinished === numToLoad;
+	}
+
+	// Each ready function is only called once, so we empty the list as we go.
+	function callReadyFunctions() {
+		var toCall = readyFunctions;
+		readyFunctions = [];
+		toCall.forEach(function(readyFn) {
+			readyFn();
+		});
+	}
+}
@@ -0,0 +1,122 @@
+// The AssetLoader loads everything listed in a manifest (see AssetManifest.js)
+// using an ImageCache, an AudioCache and a DataCache, and lets us follow
+// its progress as a whole, e.g. to draw a loading bar. It also builds the
+// SpriteAtlases and reports anything wrong with them as errors.
+// Parameters:
+//	manifest - { images: [urls], sounds: [urls], data: [urls], atlases: [urls] }
+function AssetLoader(manifest) {
+	var theManifest = manifest;
+	var imageCache = new ImageCache();
+	var audioCache = new AudioCache();
+	var dataCache = new DataCache();
+	var caches = [imageCache, audioCache, dataCache];
+	// The SpriteAtlases we've built, by the url of their JSON file.
+	var atlases = {};
+	var atlasErrors = [];
+	var progressListeners = [];
+	var errorListeners = [];
+	var loadPromise = null;
+
+	// Start loading everything in the manifest. Returns a promise that is
+	// resolved with the AssetLoader once every asset has loaded or failed.
+	this.load = function() {
+		var self = this;
+		if ( !loadPromise ) {
+			loadPromise = Promise.all([
+				imageCache.load(theManifest.images || []),
+				audioCache.load(theManifest.sounds || []),
+				dataCache.load(theManifest.data || []),
+				Promise.all((theManifest.atlases || []).map(loadAtlas))
+			]).then(function() {
+				return self;
+			});
+		}
+		return loadPromise;
+	};
+
+	// Call functionToRun once everything has loaded. Like our caches, if
+	// it already has the function is called straight away.
+	this.ready = function(functionToRun) {
+		return this.load().then(function(loader) {
+			functionToRun(loader);
+			return loader;
+		});
+	};
+
+	this.getImageCache = function() {
+		return imageCache;
+	};
+
+	this.getAudioCache = function() {
+		return audioCache;
+	};
+
+	this.getDataCache = function() {
+		return dataCache;
+	};
+
+	// Returns the SpriteAtlas loaded from url, or undefined if it couldn't be loaded.
+	this.getAtlas = function(url) {
+		return atlases[url];
+	};
+
+	// The errors from all of the caches and any problems with the atlases.
+	this.getErrors = function() {
+		return caches.reduce(function(errors, cache) {
+			return errors.concat(cache.getErrors());
+		}, []).concat(atlasErrors);
+	};
+
+	// The listener is called with { url: "...", loaded: n, total: n } each time
+	// an asset finishes, where loaded and total count all of the assets.
+	this.addProgressListener = function(listener) {
+		progressListeners.push(listener);
+	};
+
+	// The listener is called with the same error events as AssetCache.addErrorListener.
+	this.addErrorListener = function(listener) {
+		errorListeners.push(listener);
+	};
+
+	// Load the atlas's JSON, then its image, then check that they match.
+	function loadAtlas(url) {
+		return dataCache.load([url]).then(function() {
+			var atlasData = dataCache.get(url);
+			if ( !atlasData ) {
+				return;		// The DataCache has already reported the error.
+			}
+			return imageCache.load([atlasData.image]).then(function() {
+				var atlas = new SpriteAtlas(atlasData, imageCache.get(atlasData.image));
+				atlas.getProblems().forEach(function(problem) {
+					var error = { url: url, message: problem, attempts: 1, placeholder: false };
+					atlasErrors.push(error);
+					notifyErrorListeners(error);
+				});
+				atlases[url] = atlas;
+			});
+		});
+	}
+
+	function notifyProgressListeners(cacheEvent) {
+		var loaded = 0, total = 0;
+		caches.forEach(function(cache) {
+			loaded += cache.getProgress().loaded;
+			total += cache.getProgress().total;
+		});
+		var progressEvent = { url: cacheEvent.url, loaded: loaded, total: total };
+		progressListeners.forEach(function(listener) {
+			listener(progressEvent);
+		});
+	}
+
+	function notifyErrorListeners(errorEvent) {
+		errorListeners.forEach(function(listener) {
+			listener(errorEvent);
+		});
+	}
+
+	caches.forEach(function(cache) {
+		cache.addProgressListener(notifyProgressListeners);
+		cache.addErrorListener(notifyErrorListeners);
+	});
+}
@@ -0,0 +1,15 @@
+// The atlas describing the sprites in sprites.png
+var SPRITE_ATLAS = 'images/sprites.json';
+
+// Everything the game needs to load before it can start.
+//	images - the images for our sprites and backgrounds
+//	data - other JSON files the game needs
+//	atlases - sprite atlases (see SpriteAtlas.js). Each atlas's image is
+//	          loaded too, and the atlas is checked against it.
+//	sounds - our sound effects and music (see Sounds.js)
+var ASSET_MANIFEST = {
+	images: ['images/terrain.png', 'images/Gunship.png', 'images/sprites.png'],
+	data: [],
+	atlases: [SPRITE_ATLAS],
+	sounds: Object.keys(SOUNDS).map(function(name) { return SOUNDS[name]; })
+};
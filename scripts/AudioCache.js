@@ -0,0 +1,33 @@
+// The AudioCache works just like our ImageCache but for sounds. We load all of
+// the sounds before the game starts so that there's no delay the first time
+// one of them is played. A sound that can't be loaded is reported but
+// doesn't stop the game - get() just returns undefined for it.
+function AudioCache() {
+	AssetCache.call(this, loadSound);
+
+	function loadSound(url, loaded, failed) {
+		var soundToLoad = new Audio();
+		var finished = false;
+		function loadFinished() {
+			if ( !finished ) {
+				finished = true;
+				loaded(soundToLoad);
+			}
+		}
+		soundToLoad.addEventListener("canplaythrough", loadFinished);
+		// Some browsers (e.g. on phones) won't load a sound until the player
+		// has touched the page. They suspend loading instead, but can still
+		// play the sound once the player has touched it.
+		soundToLoad.addEventListener("suspend", loadFinished);
+		soundToLoad.addEventListener("error", function() {
+			if ( !finished ) {
+				finished = true;
+				failed("Couldn't load the sound");
+			}
+		});
+		soundToLoad.preload = "auto";
+		// This line starts the loading of the sound
+		soundToLoad.src = url;
+		soundToLoad.load();
+	}
+}
@@ -0,0 +1,178 @@
+// The AudioManager plays our sound effects and music. The sounds come from an
+// AudioCache that has already loaded them. There are three volume settings,
+// each from 0 to 1: the master volume, which affects everything, the music
+// volume and the sound effects (sfx) volume. The settings, and whether the
+// sound is muted, are saved so they are the same next time the game is played.
+// Parameters:
+//	audioCache - the AudioCache holding our loaded sounds
+//	maxCopies - the most copies of one sound that can play at once (default 4).
+//	            When lots of enemies explode together we don't want dozens of
+//	            explosions all playing over the top of each other.
+function AudioManager(audioCache, maxCopies) {
+	var theSounds = audioCache;
+	var MAX_COPIES = maxCopies || 4;
+	// The settings are saved in the browser's localStorage under this name.
+	var STORAGE_KEY = "gunship.audioSettings";
+	var DEFAULT_SETTINGS = { master: 1, music: 0.5, sfx: 0.8, muted: false };
+	var settings = loadSettings();
+	// For each sound we keep a few copies of its Audio object so that it can
+	// play more than once at the same time. { url: [Audio, Audio, ...] }
+	var copies = {};
+	var music = null;		// The Audio object for the music that is playing
+	var musicPaused = false;
+	// Listeners for when the volume or mute settings change
+	var settingsListeners = [];
+
+	// Play a sound effect once.
+	this.playSound = function(url) {
+		var sound = freeCopy(url);
+		if ( sound ) {
+			sound.volume = effectiveVolume("sfx");
+			sound.currentTime = 0;
+			play(sound);
+		}
+	};
+
+	// Start a piece of music that loops until stopMusic is called. If the
+	// same music is already playing it carries on from where it is.
+	this.playMusic = function(url) {
+		var newMusic = theSounds.get(url);
+		if ( music === newMusic && !musicPaused ) {
+			return;
+		}
+		this.stopMusic();
+		music = newMusic || null;
+		if ( music ) {
+			music.loop = true;
+			music.volume = effectiveVolume("music");
+			musicPaused = false;
+			play(music);
+		}
+	};
+
+	this.stopMusic = function() {
+		if ( music ) {
+			music.pause();
+			music.currentTime = 0;
+			music = null;
+		}
+	};
+
+	// Pause the music, e.g. while the game is paused, so it can carry on later.
+	this.pauseMusic = function() {
+		if ( music && !musicPaused ) {
+			musicPaused = true;
+			music.pause();
+		}
+	};
+
+	this.resumeMusic = function() {
+		if ( music && musicPaused ) {
+			musicPaused = false;
+			play(music);
+		}
+	};
+
+	// Set the "master", "music" or "sfx" volume to a level from 0 to 1.
+	this.setVolume = function(channel, level) {
+		settings[channel] = Math.max(0, Math.min(1, level));
+		settingsChanged();
+	};
+
+	this.getVolume = function(channel) {
+		return settings[channel];
+	};
+
+	this.setMuted = function(muted) {
+		settings.muted = muted;
+		settingsChanged();
+	};
+
+	this.isMuted = function() {
+		return settings.muted;
+	};
+
+	this.toggleMute = function() {
+		this.setMuted(!settings.muted);
+	};
+
+	// The listener is called with { master: n, music: n, sfx: n, muted: true/false }
+	this.addSettingsListener = function(listener) {
+		settingsListeners.push(listener);
+	};
+
+	function notifySettingsListeners() {
+		var settingsEvent = $.extend({}, settings);
+		settingsListeners.forEach(function(listener) {
+			listener(settingsEvent);
+		});
+	}
+
+	// Find a copy of the sound that isn't playing. If all of the copies are
+	// busy and we've already got as many as we're allowed we return null and
+	// the sound isn't played.
+	function freeCopy(url) {
+		var original = theSounds.get(url);
+		if ( !original ) {
+			return null;
+		}
+		var soundCopies = copies[url] || (copies[url] = []);
+		for ( var ix = 0; ix < soundCopies.length; ix++ ) {
+			if ( soundCopies[ix].paused || soundCopies[ix].ended ) {
+				return soundCopies[ix];
+			}
+		}
+		if ( soundCopies.length < MAX_COPIES ) {
+			var sound = soundCopies.length === 0 ? original : original.cloneNode();
+			soundCopies.push(sound);
+			return sound;
+		}
+		return null;
+	}
+
+	function effectiveVolume(channel) {
+		return settings.muted ? 0 : settings.master * settings[channel];
+	}
+
+	// Browsers don't let a page play sounds until the player has pressed a key
+	// or touched the page. If the music is stopped for that reason we try again
+	// as soon as they do.
+	function play(sound) {
+		var playing = sound.play();
+		if ( playing && playing.catch ) {
+			playing.catch(function() {
+				if ( sound === music ) {
+					waitForPlayer();
+				}
+			});
+		}
+	}
+
+	function waitForPlayer() {
+		$(document).one("keydown mousedown touchstart", function() {
+			if ( music && !musicPaused ) {
+				play(music);
+			}
+		});
+	}
+
+	function settingsChanged() {
+		if ( music ) {
+			music.volume = effectiveVolume("music");
+		}
+		saveSettings();
+		notifySettingsListeners();
+	}
+
+	function loadSettings() {
+		var saved = LocalStore.load(STORAGE_KEY);
+		if ( saved && typeof saved === "object" ) {
+			return $.extend({}, DEFAULT_SETTINGS, saved);
+		}
+		return $.extend({}, DEFAULT_SETTINGS);
+	}
+
+	function saveSettings() {
+		LocalStore.save(STORAGE_KEY, settings);
+	}
+}
@@ -1,8 +1,9 @@
 /**
  * This class sub-classes our existing sprite class. It adds the capability for the sprite to automatically move on the canvas
+ * Note that, unlike Sprite, the position in the sprite map is given as (left, top).
  */
-function AutoSprite(pixelsPerFrame, spriteDirection, spriteMap, top, left, w, h, fr, frames, frameDir, doOnce) {
-    Sprite.call(this,spriteMap,left,top,w,h,fr,frames,frameDir,doOnce);
+function AutoSprite(pixelsPerFrame, spriteDirection, spriteMap, left, top, w, h, fr, frames, frameDir, doOnce) {
+    Sprite.call(this,spriteMap,top,left,w,h,fr,frames,frameDir,doOnce);
 
     // The sign of pixelsPerFrame affects the direction e.g. horizontal direction with a positive pixelsPerFrame
     // means that the sprite is moving from left to right, while a negative value moves it from right to left.
@@ -14,18 +15,62 @@ function AutoSprite(pixelsPerFrame, spriteDirection, spriteMap, top, left, w, h,
     // So we take a copy of the sprite class update method, do our own processing and then delegate to it.
     var spriteUpdate = this.update;
 
+    // A movement function from MovementPatterns. If we have one it decides where the sprite goes
+    // instead of moving it in a straight line.
+    var movement = null;
+
+    // When facing is set the sprite is rotated to point the way it's moving. facing is
+    // the angle, in radians, the sprite's image points in, e.g. 0 if it points right
+    // and Math.PI if it points left.
+    var facing = null;
+
+    this.setMovement = function(movementFn) {
+        movement = movementFn;
+    };
+
+    // Rotate the sprite to face the way it's moving. Pass null to stop.
+    this.setFaceVelocity = function(imageAngle) {
+        facing = imageAngle;
+    };
+
     this.update = function(framesElapsed) {
-        var curPos = this.getPosition();
+        if ( movement ) {
+            var oldTop = this.getTop(), oldLeft = this.getLeft();
+            movement(this, framesElapsed);
+            if ( facing !== null ) {
+                faceTowards(oldTop, oldLeft);
+            }
+            spriteUpdate(framesElapsed);
+            return;
+        }
         // Now we calculate the new position of the sprite
         // If we're moving horizontally, then we will modify the left position and if moving vertically we'll
         // modify the top position
         if ( moveDirection === "horizontal") {
-            curPos.left += pxPerFrame*framesElapsed;
+            this.setPosition(this.getTop(), this.getLeft() + pxPerFrame*framesElapsed);
         } else {
-            curPos.top += pxPerFrame*framesElapsed;
+            this.setPosition(this.getTop() + pxPerFrame*framesElapsed, this.getLeft());
         }
-
-        this.setPosition(curPos.top, curPos.left);
         spriteUpdate(framesElapsed);
     }
+
+    // When the sprite is reused it forgets how it was moving too.
+    var spriteReset = this.reset;
+
+    this.reset = function() {
+        movement = null;
+        facing = null;
+        spriteReset();
+    };
+
+    // Turn the sprite to point from where it was to where it is now. If it
+    // hasn't moved we leave it pointing the same way.
+    var self = this;
+    function faceTowards(oldTop, oldLeft) {
+        var dx = self.getLeft() - oldLeft,
+            dy = self.getTop() - oldTop;
+        if ( dx !== 0 || dy !== 0 ) {
+            self.setRotation(Math.atan2(dy, dx) - facing);
+        }
+    }
 }
@@ -0,0 +1,171 @@
+// Draws the scrolling background behind our game. The background is made up
+// of layers (see Backgrounds.js) which each scroll at their own speed.
+// Each layer is drawn once onto its own canvas, called a tile, that is at least
+// as wide as the game canvas. To scroll the layer we just draw its tile twice,
+// side by side, moving both a little further left each frame.
+// Parameters:
+//	imageCache - the ImageCache to take the layers' images from
+//	width, height - the size of the canvas the background is drawn on
+function Background(imageCache, width, height) {
+	var theImages = imageCache;
+	var canvasWidth = width;
+	var canvasHeight = height;
+	// How quickly the scroll speed changes, in pixels per frame for each frame.
+	var ACCELERATION = 0.02;
+
+	var layers = [];
+	// The layers we're fading out when changing to a new background
+	var oldLayers = [];
+	var fadeFrames = 0;		// The number of frames the fade lasts
+	var fadeAge = 0;		// The number of frames since the fade started
+	// The number of pixels the ground moves each frame. The speed changes
+	// smoothly towards targetSpeed rather than jumping straight to it.
+	var speed = 0;
+	var targetSpeed = 0;
+
+	// Change to a new list of layers. If fadeOverFrames is given then the
+	// new layers fade in over the old ones over that many frames.
+	this.setLayers = function(layerSettings, fadeOverFrames) {
+		oldLayers = fadeOverFrames ? layers : [];
+		fadeFrames = fadeOverFrames || 0;
+		fadeAge = 0;
+		layers = layerSettings.map(createLayer);
+	};
+
+	// Set the speed that the ground scrolls at, in pixels per frame.
+	// Unless immediately is true the speed changes gradually.
+	this.setSpeed = function(newSpeed, immediately) {
+		targetSpeed = newSpeed;
+		if ( immediately ) {
+			speed = newSpeed;
+		}
+	};
+
+	this.getSpeed = function() {
+		return speed;
+	};
+
+	// Put all of the layers back to where they started.
+	this.reset = function() {
+		layers.forEach(function(layer) { layer.offset = 0; });
+		oldLayers = [];
+		speed = targetSpeed;
+	};
+
+	this.update = function(framesElapsed) {
+		for ( var frame = 0; frame < framesElapsed; frame++ ) {
+			if ( speed < targetSpeed ) {
+				speed = Math.min(speed + ACCELERATION, targetSpeed);
+			} else if ( speed > targetSpeed ) {
+				speed = Math.max(speed - ACCELERATION, targetSpeed);
+			}
+			for ( var ix = 0; ix < layers.length; ix++ ) {
+				scrollLayer(layers[ix]);
+			}
+			for ( ix = 0; ix < oldLayers.length; ix++ ) {
+				scrollLayer(oldLayers[ix]);
+			}
+		}
+		if ( oldLayers.length > 0 ) {
+			fadeAge += framesElapsed;
+			if ( fadeAge >= fadeFrames ) {
+				oldLayers = [];
+			}
+		}
+	};
+
+	this.render = function(drawCtx) {
+		if ( oldLayers.length > 0 ) {
+			renderLayers(drawCtx, oldLayers);
+			drawCtx.save();
+			drawCtx.globalAlpha = fadeAge/fadeFrames;
+			renderLayers(drawCtx, layers);
+			drawCtx.restore();
+		} else {
+			renderLayers(drawCtx, layers);
+		}
+	};
+
+	// We draw every frame, so we use a plain loop rather than creating a function to pass to forEach.
+	function renderLayers(drawCtx, layerList) {
+		for ( var ix = 0; ix < layerList.length; ix++ ) {
+			renderLayer(drawCtx, layerList[ix]);
+		}
+	}
+
+	function scrollLayer(layer) {
+		// Once we've scrolled a whole tile we can start again from the
+		// beginning because the tile joins on to itself.
+		layer.offset = (layer.offset + speed*layer.speed) % layer.tile.width;
+	}
+
+	function renderLayer(drawCtx, layer) {
+		// Round to whole pixels so that the two copies of the tile meet without a gap.
+		var left = -Math.floor(layer.offset);
+		drawCtx.drawImage(layer.tile, left, layer.top);
+		drawCtx.drawImage(layer.tile, left + layer.tile.width, layer.top);
+	}
+
+	function createLayer(settings) {
+		var top = Math.round(settings.top*canvasHeight);
+		var layerHeight = Math.round(settings.height*canvasHeight);
+		var tile;
+		if ( settings.image ) {
+			tile = createImageTile(theImages.get(settings.image), layerHeight);
+		} else {
+			tile = document.createElement("canvas");
+			tile.width = canvasWidth;
+			tile.height = layerHeight;
+			if ( settings.hills ) {
+				drawHills(tile, settings.hills);
+			} else {
+				drawGradient(tile, settings.gradient);
+			}
+		}
+		return { top: top, speed: settings.speed || 0, tile: tile, offset: 0 };
+	}
+
+	// Repeat the image across the tile. The tile needs to be a whole number of
+	// images wide so that it joins on to itself seamlessly.
+	function createImageTile(image, tileHeight) {
+		var tile = document.createElement("canvas");
+		tile.width = Math.ceil(canvasWidth/image.width)*image.width;
+		tile.height = tileHeight;
+		var ctx = tile.getContext("2d");
+		ctx.fillStyle = ctx.createPattern(image, "repeat");
+		ctx.fillRect(0, 0, tile.width, tile.height);
+		return tile;
+	}
+
+	function drawGradient(tile, colours) {
+		var ctx = tile.getContext("2d");
+		var gradient = ctx.createLinearGradient(0, 0, 0, tile.height);
+		gradient.addColorStop(0, colours[0]);
+		gradient.addColorStop(1, colours[1]);
+		ctx.fillStyle = gradient;
+		ctx.fillRect(0, 0, tile.width, tile.height);
+	}
+
+	// Draw a line of hills by adding together a few sine waves. Each wave fits
+	// a whole number of times across the tile, so the left and right edges
+	// of the tile are the same height and the hills join up when it wraps.
+	function drawHills(tile, hills) {
+		var ctx = tile.getContext("2d");
+		var roughness = hills.roughness || 0;
+		ctx.fillStyle = hills.colour;
+		ctx.beginPath();
+		ctx.moveTo(0, tile.height);
+		for ( var x = 0; x <= tile.width; x += 4 ) {
+			var angle = 2*Math.PI*x/tile.width;
+			var wave = Math.sin(angle*hills.peaks) +
+				roughness*Math.sin(angle*hills.peaks*3 + 1) +
+				roughness*0.5*Math.sin(angle*hills.peaks*7 + 2);
+			// wave is between -(1 + 1.5*roughness) and +(1 + 1.5*roughness)
+			var level = 0.5 + 0.5*wave/(1 + 1.5*roughness);
+			ctx.lineTo(x, tile.height*(1 - level));
+		}
+		ctx.lineTo(tile.width, tile.height);
+		ctx.closePath();
+		ctx.fill();
+	}
+}
@@ -0,0 +1,33 @@
+// The backgrounds our levels can fly over. Each background is a list of
+// layers drawn from the back to the front. Every layer scrolls to the left
+// at its own speed and wraps around so that it never runs out. Layers further
+// away should scroll more slowly than the ones in front of them - this is
+// what gives the feeling of depth (called parallax).
+// Each layer is:
+//	top, height - where the layer is drawn, from 0 (top of the canvas) to 1 (bottom)
+//	speed - how far the layer scrolls for each pixel the ground scrolls (0 doesn't move)
+// and one of:
+//	gradient - [ topColour, bottomColour ] to fill the layer with
+//	hills - { colour: "#...", peaks: n, roughness: 0 to 1 } to draw a line of hills
+//	image - the url of an image to repeat across the layer. It must have been
+//	        loaded into the ImageCache before the game starts.
+var BACKGROUNDS = {
+	day: [
+		{ top: 0, height: 1, speed: 0, gradient: ["#4f86d6", "#bcd9f5"] },
+		{ top: 0.35, height: 0.5, speed: 0.2, hills: { colour: "#7d93a8", peaks: 3, roughness: 0.3 } },
+		{ top: 0.5, height: 0.4, speed: 0.5, hills: { colour: "#4b7040", peaks: 5, roughness: 0.5 } },
+		{ top: 0.85, height: 0.15, speed: 1, image: "images/terrain.png" }
+	],
+	dusk: [
+		{ top: 0, height: 1, speed: 0, gradient: ["#2b2150", "#e07a4a"] },
+		{ top: 0.3, height: 0.55, speed: 0.2, hills: { colour: "#4e3a5c", peaks: 2, roughness: 0.2 } },
+		{ top: 0.55, height: 0.35, speed: 0.5, hills: { colour: "#2f2a38", peaks: 6, roughness: 0.6 } },
+		{ top: 0.85, height: 0.15, speed: 1, image: "images/terrain.png" }
+	],
+	night: [
+		{ top: 0, height: 1, speed: 0, gradient: ["#05060f", "#1c2540"] },
+		{ top: 0.4, height: 0.45, speed: 0.2, hills: { colour: "#141a2b", peaks: 4, roughness: 0.4 } },
+		{ top: 0.6, height: 0.3, speed: 0.5, hills: { colour: "#0b0e17", peaks: 8, roughness: 0.7 } },
+		{ top: 0.85, height: 0.15, speed: 1, image: "images/terrain.png" }
+	]
+};
@@ -0,0 +1,89 @@
+// A sprite that draws a laser beam as a line rather than an image. The beam
+// runs from where it starts right across to the far side of the screen, and
+// its one hitbox covers all of it. It only lasts while it's held: hold must be
+// called every frame or it is done the next time it's updated. It has the
+// same update/render/isDone methods as our Sprite class, and getHitboxes
+// too, so it can be managed and collided with in the same way.
+// Parameters:
+//	thickness - how many pixels thick the beam is
+//	colour - the colour of the beam
+//	right - where the beam ends, usually the right edge of the canvas
+function BeamSprite(thickness, colour, right) {
+	var theThickness = thickness;
+	var theColour = colour;
+	var GLOW_ALPHA = 0.4;	// How strongly the glow around the beam shows
+
+	// The beam is as thick as it looks, so it has just the one hitbox.
+	var hitbox = { top: 0, left: 0, bottom: theThickness, right: right };
+	var hitboxes = [ hitbox ];
+	var held = true;
+	var done = false;
+
+	this.hold = function() {
+		held = true;
+	};
+
+	this.update = function(framesElapsed) {
+		done = done || !held;
+		held = false;
+	};
+
+	this.render = function(drawCtx) {
+		if ( !done ) {
+			var middle = hitbox.top + theThickness/2;
+			drawCtx.save();
+			drawCtx.strokeStyle = theColour;
+			drawCtx.lineCap = "round";
+			// A wide faint line for the glow with a thin bright core along the middle.
+			drawCtx.globalAlpha = GLOW_ALPHA;
+			drawCtx.lineWidth = theThickness*2;
+			drawLine(drawCtx, middle);
+			drawCtx.globalAlpha = 1;
+			drawCtx.lineWidth = theThickness;
+			drawLine(drawCtx, middle);
+			drawCtx.strokeStyle = "white";
+			drawCtx.lineWidth = Math.max(1, theThickness/3);
+			drawLine(drawCtx, middle);
+			drawCtx.restore();
+		}
+	};
+
+	// The top left corner of the beam. The beam follows whatever fires it, so
+	// this is called every frame.
+	this.setPosition = function(top, left) {
+		hitbox.top = top;
+		hitbox.bottom = top + theThickness;
+		hitbox.left = left;
+	};
+
+	this.getPosition = function() {
+		return { top: hitbox.top, left: hitbox.left };
+	};
+
+	this.getTop = function() {
+		return hitbox.top;
+	};
+
+	this.getLeft = function() {
+		return hitbox.left;
+	};
+
+	this.getHitboxes = function() {
+		return hitboxes;
+	};
+
+	this.isDone = function() {
+		return done;
+	};
+
+	this.setDone = function(status) {
+		done = status;
+	};
+
+	function drawLine(drawCtx, middle) {
+		drawCtx.beginPath();
+		drawCtx.moveTo(hitbox.left, middle);
+		drawCtx.lineTo(hitbox.right, middle);
+		drawCtx.stroke();
+	}
+}
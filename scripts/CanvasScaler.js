@@ -0,0 +1,145 @@
+// Shows the game canvas as big as it will fit on the page, or the whole screen
+// in fullscreen mode, whatever the size of the window. The game itself always
+// works in the same logical coordinates - the width and height given to the
+// canvas in the page, e.g. 512x480 - and we scale its drawing to fit. The
+// canvas keeps its shape, so there may be black bars above and below or to
+// either side of it ("letterboxing").
+// On high resolution screens the browser uses several real pixels for each
+// pixel on the page (window.devicePixelRatio), so we give the canvas that many
+// more pixels to keep the game sharp.
+// Parameters:
+//	canvas - the game canvas. Its parent element holds the canvas along with
+//	         anything shown over it (e.g. the game over screen) and is sized to match it.
+//	container - the element the game is shown in. We fit the canvas inside it
+//	            and it is the element that is shown fullscreen.
+function CanvasScaler(canvas, container) {
+	var theCanvas = canvas;
+	var theContainer = container;
+	var theScreen = canvas.parentNode;
+	var drawCtx = theCanvas.getContext("2d");
+	var logicalWidth = theCanvas.width,
+		logicalHeight = theCanvas.height;
+	var displayWidth = logicalWidth,
+		displayHeight = logicalHeight;
+	var resizeListeners = [];
+	// Changing the size of the canvas clears it, so we copy what was on it here
+	// first and draw it back afterwards. Otherwise the game would disappear when
+	// the window is resized while it's paused.
+	var copyCanvas = document.createElement("canvas");
+	var FULLSCREEN_EVENTS = "fullscreenchange webkitfullscreenchange mozfullscreenchange MSFullscreenChange";
+	var self = this;
+
+	// The size of the game in logical coordinates.
+	this.getWidth = function() {
+		return logicalWidth;
+	};
+
+	this.getHeight = function() {
+		return logicalHeight;
+	};
+
+	// How many pixels on the page each logical pixel takes up.
+	this.getScale = function() {
+		return displayWidth/logicalWidth;
+	};
+
+	// Convert a position on the page, e.g. a touch's clientX and clientY,
+	// into logical coordinates on the canvas.
+	this.toLogical = function(clientX, clientY) {
+		var rect = theCanvas.getBoundingClientRect();
+		return {
+			x: (clientX - rect.left)*logicalWidth/rect.width,
+			y: (clientY - rect.top)*logicalHeight/rect.height
+		};
+	};
+
+	// Set up the drawing context so that drawing in logical coordinates fills
+	// the canvas. We do this whenever the canvas changes size.
+	this.applyTransform = function(ctx) {
+		ctx.setTransform(theCanvas.width/logicalWidth, 0, 0, theCanvas.height/logicalHeight, 0, 0);
+	};
+
+	// The listener is called with { width, height, scale, fullscreen } where
+	// width and height are the size the canvas is shown at on the page.
+	this.addResizeListener = function(listener) {
+		resizeListeners.push(listener);
+	};
+
+	this.isFullscreen = function() {
+		return fullscreenElement() === theContainer;
+	};
+
+	// Browsers only let us go fullscreen in response to the player doing
+	// something, e.g. clicking a link or pressing a key.
+	this.toggleFullscreen = function() {
+		if ( this.isFullscreen() ) {
+			var exit = document.exitFullscreen || document.webkitExitFullscreen ||
+					   document.mozCancelFullScreen || document.msExitFullscreen;
+			if ( exit ) {
+				exit.call(document);
+			}
+		} else {
+			var request = theContainer.requestFullscreen || theContainer.webkitRequestFullscreen ||
+						  theContainer.mozRequestFullScreen || theContainer.msRequestFullscreen;
+			if ( request ) {
+				request.call(theContainer);
+			}
+		}
+	};
+
+	// Fit the canvas to the container again. This happens by itself when the
+	// window changes size or we go in or out of fullscreen.
+	this.resize = function() {
+		var availableWidth = theContainer.clientWidth,
+			availableHeight = theContainer.clientHeight;
+		if ( availableWidth === 0 || availableHeight === 0 ) {
+			// The container is hidden, so there's nothing to fit.
+			return;
+		}
+		var scale = Math.min(availableWidth/logicalWidth, availableHeight/logicalHeight);
+		displayWidth = Math.floor(logicalWidth*scale);
+		displayHeight = Math.floor(logicalHeight*scale);
+		var pixelRatio = window.devicePixelRatio || 1;
+		var pixelWidth = Math.round(displayWidth*pixelRatio),
+			pixelHeight = Math.round(displayHeight*pixelRatio);
+		theScreen.style.width = theCanvas.style.width = displayWidth + "px";
+		theScreen.style.height = theCanvas.style.height = displayHeight + "px";
+		if ( pixelWidth !== theCanvas.width || pixelHeight !== theCanvas.height ) {
+			copyCanvas.width = theCanvas.width;
+			copyCanvas.height = theCanvas.height;
+			copyCanvas.getContext("2d").drawImage(theCanvas, 0, 0);
+			theCanvas.width = pixelWidth;
+			theCanvas.height = pixelHeight;
+			drawCtx.drawImage(copyCanvas, 0, 0, pixelWidth, pixelHeight);
+		}
+		this.applyTransform(drawCtx);
+		notifyResizeListeners();
+	};
+
+	// Stop following the window's size.
+	this.destroy = function() {
+		$(window).off("resize", onResize);
+		$(document).off(FULLSCREEN_EVENTS, onResize);
+		resizeListeners = [];
+	};
+
+	function notifyResizeListeners() {
+		var resizeEvent = { width: displayWidth, height: displayHeight, scale: self.getScale(), fullscreen: self.isFullscreen() };
+		resizeListeners.forEach(function(listener) {
+			listener(resizeEvent);
+		});
+	}
+
+	function fullscreenElement() {
+		return document.fullscreenElement || document.webkitFullscreenElement ||
+			   document.mozFullScreenElement || document.msFullscreenElement || null;
+	}
+
+	function onResize() {
+		self.resize();
+	}
+
+	$(window).on("resize", onResize);
+	$(document).on(FULLSCREEN_EVENTS, onResize);
+	this.resize();
+}
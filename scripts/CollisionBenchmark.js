@@ -0,0 +1,90 @@
+// Measures how long each frame takes with lots of enemies and bullets on
+// screen, checking collisions both with the SpatialGrid and by testing every
+// pair, so that we can see how high we can raise MAX_ENEMIES.
+$(document).ready(function() {
+	var gameCanvas = $("#gameCanvas")[0];
+	var drawCtx = gameCanvas.getContext("2d");
+	var imageCache = new ImageCache();
+
+	// Create sprites at random positions across the canvas. We use the same
+	// seed every time so that each run tests exactly the same thing.
+	function createSprites(count, random, createOne) {
+		var sprites = [];
+		for ( var ix = 0; ix < count; ix++ ) {
+			var s = createOne();
+			s.setPosition(random.between(0, gameCanvas.height - s.getSize().h),
+						  random.between(0, gameCanvas.width));
+			sprites.push(s);
+		}
+		return sprites;
+	}
+
+	// Move and draw the sprites. When a sprite goes off one side of the canvas
+	// we bring it back on the other side so the number of sprites stays the same.
+	function updateSprites(sprites) {
+		sprites.forEach(function(s) {
+			s.update(1);
+			var pos = s.getPosition();
+			if ( pos.left < -s.getSize().w ) {
+				s.setPosition(pos.top, gameCanvas.width);
+			} else if ( pos.left > gameCanvas.width ) {
+				s.setPosition(pos.top, -s.getSize().w);
+			}
+			s.render(drawCtx);
+		});
+	}
+
+	function runBenchmark(numEnemies, numBullets, numFrames, useGrid) {
+		var random = new GameRandom(1);
+		var spriteMap = imageCache.get('images/sprites.png');
+		var enemies = createSprites(numEnemies, random, function() {
+			var s = new AutoSprite(-1.66,'horizontal',spriteMap,0,78,80,39,10,[0,1,2,3,2,1],'horizontal');
+			s.setHitboxes([ { left: 2, top: 6, w: 74, h: 27 }, { left: 10, top: 1, w: 50, h: 37 } ]);
+			return s;
+		});
+		var bullets = createSprites(numBullets, random, function() {
+			return new AutoSprite(5,'horizontal',spriteMap,0,39,17,7,0,[0],null,false);
+		});
+		var detector = new CollisionDetector();
+		detector.setUseGrid(useGrid);
+
+		var totalTime = 0, worstTime = 0, collisions = 0;
+		for ( var frame = 0; frame < numFrames; frame++ ) {
+			var startTime = performance.now();
+			drawCtx.fillRect(0, 0, gameCanvas.width, gameCanvas.height);
+			updateSprites(enemies);
+			updateSprites(bullets);
+			detector.detect(bullets, enemies, function() {
+				collisions++;
+			});
+			var frameTime = performance.now() - startTime;
+			totalTime += frameTime;
+			worstTime = Math.max(worstTime, frameTime);
+		}
+		return { average: totalTime/numFrames, worst: worstTime, collisions: collisions };
+	}
+
+	function showResult(numEnemies, numBullets, method, result) {
+		$("#benchmarkResults").append($("<tr/>").append(
+			$("<td/>").text(numEnemies),
+			$("<td/>").text(numBullets),
+			$("<td/>").text(method),
+			$("<td/>").text(result.average.toFixed(2)),
+			$("<td/>").text(result.worst.toFixed(2)),
+			$("<td/>").text(result.collisions)));
+	}
+
+	imageCache.ready(function() {
+		drawCtx.fillStyle = drawCtx.createPattern(imageCache.get('images/terrain.png'),"repeat");
+		$("#runBenchmark").click(function() {
+			var numEnemies = parseInt($("#numEnemies").val(), 10),
+				numBullets = parseInt($("#numBullets").val(), 10),
+				numFrames = parseInt($("#numFrames").val(), 10);
+			showResult(numEnemies, numBullets, "Every pair",
+				runBenchmark(numEnemies, numBullets, numFrames, false));
+			showResult(numEnemies, numBullets, "Spatial grid",
+				runBenchmark(numEnemies, numBullets, numFrames, true));
+		});
+	});
+	imageCache.load(['images/terrain.png', 'images/sprites.png']);
+});
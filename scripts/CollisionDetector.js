@@ -0,0 +1,183 @@
+// This class works out which of our sprites have collided with each other.
+// Each sprite has one or more hitboxes (see Sprite.setHitboxes) and two
+// sprites collide if any of their boxes overlap. For even more accuracy we can
+// also check the pixels of the sprites themselves, so that only the parts of
+// the images that can actually be seen count.
+// Parameters:
+//	usePixelMasks - true to check pixels as well as hitboxes (default false)
+function CollisionDetector(usePixelMasks) {
+	var pixelMasks = usePixelMasks || false;
+	// A pixel counts as solid if its alpha (0 transparent to 255 opaque) is above this.
+	var ALPHA_THRESHOLD = 64;
+	// We read the alpha values of each sprite map once and keep them here.
+	// Each entry is { image: theImage, alphaMap: { width: w, alpha: arrayOfAlphaValues } }
+	var alphaMaps = [];
+	// Rather than check every pair of sprites we put one group into a grid
+	// and only check the sprites that are near each other.
+	var grid = new SpatialGrid();
+	var useGrid = true;
+
+	this.setPixelMasks = function(enabled) {
+		pixelMasks = enabled;
+	};
+
+	// Turn the grid off to check every pair of sprites, e.g. to compare speeds.
+	this.setUseGrid = function(enabled) {
+		useGrid = enabled;
+	};
+
+	// Returns true if the two sprites have collided.
+	this.collides = function(s1, s2) {
+		return boxesOverlap(s1, s2) && (!pixelMasks || pixelsOverlap(s1, s2));
+	};
+
+	// Checks every sprite in spritesA against every sprite in spritesB and calls
+	// onCollision(spriteA, spriteB) for each pair that collides. Sprites that
+	// are done, including those done because of an earlier collision, are skipped.
+	this.detect = function(spritesA, spritesB, onCollision) {
+		if ( useGrid ) {
+			// The sprites move every frame so we build the grid again each time.
+			grid.clear();
+			grid.insertAll(spritesB);
+		}
+		for ( var ax = 0; ax < spritesA.length; ax++ ) {
+			var a = spritesA[ax];
+			var candidates = useGrid ? grid.query(a) : spritesB;
+			for ( var ix = 0; ix < candidates.length && !a.isDone(); ix++ ) {
+				var b = candidates[ix];
+				if ( !b.isDone() && this.collides(a, b) ) {
+					onCollision(a, b);
+				}
+			}
+		}
+	};
+
+	// Returns the first sprite in sprites that has collided with sprite, or null if none have.
+	this.findFirst = function(sprite, sprites) {
+		for ( var ix = 0; ix < sprites.length; ix++ ) {
+			if ( !sprites[ix].isDone() && this.collides(sprite, sprites[ix]) ) {
+				return sprites[ix];
+			}
+		}
+		return null;
+	};
+
+	function boxesOverlap(s1, s2) {
+		var boxes1 = s1.getHitboxes(),
+			boxes2 = s2.getHitboxes();
+		for ( var i = 0; i < boxes1.length; i++ ) {
+			for ( var j = 0; j < boxes2.length; j++ ) {
+				var a = boxes1[i], b = boxes2[j];
+				// Two boxes overlap unless one of them is completely to the
+				// left of, right of, above or below the other.
+				if ( a.left < b.right && b.left < a.right &&
+					 a.top < b.bottom && b.top < a.bottom ) {
+					return true;
+				}
+			}
+		}
+		return false;
+	}
+
+	// Look at each pixel where the two sprites' frames overlap on the canvas
+	// and see if both sprites have a solid pixel there.
+	function pixelsOverlap(s1, s2) {
+		// Sprites that are drawn rather than taken from an image, like a
+		// BeamSprite, are solid all over their hitboxes.
+		if ( !s1.getFrameSource ) {
+			return pixelsInBoxes(s2, s1.getHitboxes());
+		}
+		if ( !s2.getFrameSource ) {
+			return pixelsInBoxes(s1, s2.getHitboxes());
+		}
+		var f1 = s1.getFrameSource(), f2 = s2.getFrameSource();
+		var alpha1 = getAlphaMap(f1.image), alpha2 = getAlphaMap(f2.image);
+		if ( !alpha1 || !alpha2 ) {
+			// We couldn't read the pixels so the hitboxes will have to do.
+			return true;
+		}
+		var top1 = s1.getTop(), left1 = s1.getLeft(),
+			top2 = s2.getTop(), left2 = s2.getLeft();
+		var left = Math.floor(Math.max(left1, left2)),
+			right = Math.ceil(Math.min(left1 + f1.w, left2 + f2.w)),
+			top = Math.floor(Math.max(top1, top2)),
+			bottom = Math.ceil(Math.min(top1 + f1.h, top2 + f2.h));
+		for ( var y = top; y < bottom; y++ ) {
+			for ( var x = left; x < right; x++ ) {
+				if ( isSolid(alpha1, f1, x - left1, y - top1) &&
+					 isSolid(alpha2, f2, x - left2, y - top2) ) {
+					return true;
+				}
+			}
+		}
+		return false;
+	}
+
+	// Does the sprite have a solid pixel inside any of the boxes?
+	function pixelsInBoxes(sprite, boxes) {
+		var f = sprite.getFrameSource();
+		var alphaMap = getAlphaMap(f.image);
+		if ( !alphaMap ) {
+			return true;
+		}
+		var spriteTop = sprite.getTop(), spriteLeft = sprite.getLeft();
+		for ( var ix = 0; ix < boxes.length; ix++ ) {
+			var box = boxes[ix];
+			var left = Math.floor(Math.max(box.left, spriteLeft)),
+				right = Math.ceil(Math.min(box.right, spriteLeft + f.w)),
+				top = Math.floor(Math.max(box.top, spriteTop)),
+				bottom = Math.ceil(Math.min(box.bottom, spriteTop + f.h));
+			for ( var y = top; y < bottom; y++ ) {
+				for ( var x = left; x < right; x++ ) {
+					if ( isSolid(alphaMap, f, x - spriteLeft, y - spriteTop) ) {
+						return true;
+					}
+				}
+			}
+		}
+		return false;
+	}
+
+	// Is the pixel at (x,y) within the frame solid?
+	function isSolid(alphaMap, frame, x, y) {
+		x = Math.floor(x);
+		y = Math.floor(y);
+		if ( x < 0 || y < 0 || x >= frame.w || y >= frame.h ) {
+			return false;
+		}
+		return alphaMap.alpha[(frame.top + y)*alphaMap.width + frame.left + x] > ALPHA_THRESHOLD;
+	}
+
+	function getAlphaMap(image) {
+		for ( var ix = 0; ix < alphaMaps.length; ix++ ) {
+			if ( alphaMaps[ix].image === image ) {
+				return alphaMaps[ix].alphaMap;
+			}
+		}
+		var alphaMap = readAlphaMap(image);
+		alphaMaps.push({ image: image, alphaMap: alphaMap });
+		return alphaMap;
+	}
+
+	// Draw the image onto a canvas of our own so that we can read its pixels.
+	function readAlphaMap(image) {
+		try {
+			var canvas = document.createElement("canvas");
+			canvas.width = image.width;
+			canvas.height = image.height;
+			var ctx = canvas.getContext("2d");
+			ctx.drawImage(image, 0, 0);
+			var pixels = ctx.getImageData(0, 0, image.width, image.height).data;
+			// The pixel data is red, green, blue, alpha for each pixel. We only want the alpha.
+			var alpha = new Uint8Array(image.width * image.height);
+			for ( var ix = 0; ix < alpha.length; ix++ ) {
+				alpha[ix] = pixels[ix*4 + 3];
+			}
+			return { width: image.width, alpha: alpha };
+		} catch (e) {
+			// Browsers won't let us read the pixels of images loaded from
+			// file:// pages, so we give up on pixel checks for this image.
+			return null;
+		}
+	}
+}
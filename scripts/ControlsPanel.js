@@ -0,0 +1,36 @@
+// Shows the player's key bindings in a table and lets them change them.
+// Parameters:
+//	inputManager - the InputManager whose bindings we're showing
+//	panel - the element to build the table in
+function ControlsPanel(inputManager, panel) {
+	var thePanel = $(panel);
+
+	// Build the table again from the InputManager's current bindings.
+	this.refresh = function() {
+		var self = this;
+		var bindings = inputManager.getBindings();
+		var table = $("<table/>");
+		inputManager.getActions().forEach(function(action) {
+			var keyNames = bindings[action].map(inputManager.getKeyName).join(", ");
+			var changeButton = $("<button/>").text("Change").click(function() {
+				$(this).text("Press a key...");
+				// Replace the action's keys with whatever key the player presses next.
+				inputManager.captureNextKey(function(keyCode) {
+					inputManager.setBinding(action, [keyCode]);
+					self.refresh();
+				});
+			});
+			table.append($("<tr/>").append(
+				$("<td/>").text(action),
+				$("<td/>").text(keyNames || "-"),
+				$("<td/>").append(changeButton)));
+		});
+		var resetButton = $("<button/>").text("Reset to defaults").click(function() {
+			inputManager.resetBindings();
+			self.refresh();
+		});
+		thePanel.empty().append(table, resetButton);
+	};
+
+	this.refresh();
+}
@@ -0,0 +1,18 @@
+// The DataCache loads JSON files, e.g. the descriptions of our sprite sheets,
+// the same way our ImageCache loads images.
+// Browsers only let a page load data files when it has been loaded from a web
+// server, so the game needs to be served (e.g. with "python -m http.server")
+// rather than opened straight from the disk.
+function DataCache() {
+	AssetCache.call(this, loadData);
+
+	function loadData(url, loaded, failed) {
+		$.ajax({ url: url, dataType: "json" })
+			.done(function(data) {
+				loaded(data);
+			})
+			.fail(function(xhr, status, error) {
+				failed("Couldn't load the data (" + (error || status) + ")");
+			});
+	}
+}
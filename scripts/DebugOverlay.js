@@ -0,0 +1,194 @@
+// A developer's view of the game for tuning the difficulty and hunting bugs.
+// Press ` (backquote) to show or hide it. Over the game it draws the frame rate
+// and how long each frame takes, how many sprites there are, what the level
+// director is doing and the hitboxes of everything that can collide. Under
+// it is a console where these commands can be typed:
+//	god - turn invincibility on or off
+//	spawn <type> [top] - add an enemy of a type from EnemyTypes.js
+//	skip - skip the rest of the level
+//	speed <scale> - run the game faster or slower, e.g. speed 0.25 for slow motion
+//	step [frames] - stop the game and move it on one frame, or a few
+//	resume - carry on after stepping
+//	hitboxes - turn the hitbox outlines on or off
+//	help - list the commands
+// god, spawn and skip are noted in the game's recording, as a replay can't repeat them.
+// None of this is for players. Leave this file out of the page and the game
+// runs without it (see Gunship.js).
+// Parameters:
+//	container - the element over the game canvas to put the console in
+function DebugOverlay(container) {
+	var LINE_HEIGHT = 14;
+	var TOGGLE_KEY = 192;	// ` (backquote)
+	// The hitboxes are outlined in a different colour for each type of sprite.
+	var HITBOX_COLOURS = { PLAYER: "lime", ENEMY: "red", BULLET: "yellow", ENEMY_BULLET: "orange", POWER_UP: "cyan" };
+	// The hooks into the game we're attached to (see GameEngine's createDebugHooks)
+	var game = null;
+	var enabled = false;
+	var showHitboxes = true;
+	// We use a FrameProfiler for the frame timings but draw them ourselves.
+	var timer = new FrameProfiler(60);
+	var lastMessage = "Type help for the commands";
+	var self = this;
+	// The console is only built if this file is included, so the page doesn't need any of it.
+	var consoleDiv = $("<div/>").css({
+		position: "absolute", left: 0, right: 0, bottom: 0, zIndex: 3,
+		backgroundColor: "rgba(0, 0, 0, 0.6)", color: "lime", font: "12px 'Courier New', monospace"
+	}).hide().appendTo(container);
+	var output = $("<div/>").text(lastMessage).appendTo(consoleDiv);
+	var input = $("<input type='text'/>").css({ width: "100%", boxSizing: "border-box" }).appendTo(consoleDiv);
+	// Each command is given the words typed after its name and returns what to show in the console.
+	var COMMANDS = {
+		god: function() {
+			game.setInvincible(!game.isInvincible());
+			return "Invincibility " + (game.isInvincible() ? "on" : "off");
+		},
+		spawn: function(args) {
+			var top = args[1] === undefined ? undefined : parseFloat(args[1]);
+			if ( top !== undefined && isNaN(top) ) {
+				return "The top must be a number, e.g. spawn bug 100";
+			}
+			if ( !game.spawnEnemy(args[0], top) ) {
+				return "Enemy types: " + game.getEnemyTypeNames().join(", ");
+			}
+			return "Spawned " + args[0];
+		},
+		skip: function() {
+			game.skipLevel();
+			return "Skipped level " + game.getLevel().levelNo;
+		},
+		speed: function(args) {
+			var scale = parseFloat(args[0]);
+			if ( !(scale > 0) ) {
+				return "Speed is " + game.getTimeScale();
+			}
+			game.setTimeScale(scale);
+			return "Speed " + game.getTimeScale();
+		},
+		step: function(args) {
+			var frames = parseInt(args[0], 10) || 1;
+			game.step(frames);
+			return "Stepped " + frames + (frames === 1 ? " frame" : " frames");
+		},
+		resume: function() {
+			game.resume();
+			return "Resumed";
+		},
+		hitboxes: function() {
+			showHitboxes = !showHitboxes;
+			return "Hitboxes " + (showHitboxes ? "on" : "off");
+		},
+		help: function() {
+			return "Commands: " + Object.keys(COMMANDS).join(", ");
+		}
+	};
+
+	// Called by the GameEngine when it starts, with the hooks we use to look at and change the game.
+	this.attach = function(hooks) {
+		game = hooks;
+	};
+
+	// Called when the GameEngine is destroyed.
+	this.detach = function() {
+		game = null;
+	};
+
+	this.isEnabled = function() {
+		return enabled;
+	};
+
+	this.toggle = function() {
+		enabled = !enabled;
+		consoleDiv.toggle(enabled);
+		if ( enabled ) {
+			input.focus();
+		} else {
+			input.blur();
+		}
+	};
+
+	// Run a line typed into the console, e.g. "spawn bug 100", and return
+	// the message to show for it.
+	this.run = function(commandLine) {
+		var args = $.trim(commandLine).split(/\s+/);
+		var command = args.shift().toLowerCase();
+		if ( !game ) {
+			lastMessage = "There's no game running";
+		} else if ( COMMANDS.hasOwnProperty(command) ) {
+			lastMessage = COMMANDS[command](args);
+		} else {
+			lastMessage = "Unknown command " + command + ". " + COMMANDS.help();
+		}
+		output.text(lastMessage);
+		return lastMessage;
+	};
+
+	// Call at the start of each frame...
+	this.beginFrame = function() {
+		timer.beginFrame();
+	};
+
+	// ...and draw the overlay at the end of it.
+	this.render = function(drawCtx) {
+		timer.endFrame();
+		if ( !enabled || !game ) {
+			return;
+		}
+		drawCtx.save();
+		if ( showHitboxes ) {
+			drawCtx.lineWidth = 1;
+			game.forEachSprite(function(sprite) {
+				if ( !sprite.isDone() ) {
+					drawHitboxes(drawCtx, sprite);
+				}
+			});
+		}
+		var stats = timer.getStats();
+		var counts = game.getCounts();
+		var level = game.getLevel();
+		var lines = [
+			"FPS " + stats.fps.toFixed(1) + "  frame " + stats.stepMs.toFixed(2) + "ms (max " + stats.maxStepMs.toFixed(2) + ")",
+			"Enemies " + counts.enemies + "/" + level.maxEnemies + "  bullets " + counts.bullets + "+" + counts.enemyBullets,
+			"Explosions " + counts.explosions + "  particles " + counts.particles,
+			"Level " + level.levelNo + " (" + level.state + ")  speed x" + game.getTimeScale() +
+				(game.isInvincible() ? "  GOD" : "")
+		];
+		drawCtx.globalAlpha = 0.75;
+		drawCtx.fillStyle = "black";
+		drawCtx.fillRect(4, 4, 300, lines.length*LINE_HEIGHT + 8);
+		drawCtx.globalAlpha = 1;
+		drawCtx.fillStyle = "lime";
+		drawCtx.font = "11px 'Courier New', monospace";
+		drawCtx.textAlign = "left";
+		drawCtx.textBaseline = "top";
+		lines.forEach(function(line, lineNo) {
+			drawCtx.fillText(line, 8, 8 + lineNo*LINE_HEIGHT);
+		});
+		drawCtx.restore();
+	};
+
+	function drawHitboxes(drawCtx, sprite) {
+		var boxes = sprite.getHitboxes();
+		drawCtx.strokeStyle = HITBOX_COLOURS[sprite.getType()] || "white";
+		for ( var ix = 0; ix < boxes.length; ix++ ) {
+			var box = boxes[ix];
+			drawCtx.strokeRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+		}
+	}
+
+	function onKeyDown(keyEvent) {
+		if ( keyEvent.keyCode === TOGGLE_KEY ) {
+			keyEvent.preventDefault();
+			self.toggle();
+		}
+	}
+
+	$(document).keydown(onKeyDown);
+	input.keydown(function(keyEvent) {
+		if ( keyEvent.keyCode === 13 ) {	// Enter key
+			self.run(input.val());
+			input.val("");
+		} else if ( keyEvent.keyCode === 27 ) {	// Escape gives the keyboard back to the game
+			input.blur();
+		}
+	});
+}
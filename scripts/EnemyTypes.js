@@ -0,0 +1,72 @@
+// The types of enemy in our game. GameEngine creates enemies from these
+// definitions so new enemies can be added here without changing the engine.
+// Each enemy type has:
+//	animation - the name of the enemy's animation in the sprite atlas (images/sprites.json),
+//	            which also gives the areas of the enemy that can be hit
+//	hitPoints - how many bullets it takes to destroy the enemy
+//	score - the points for destroying it
+//	movement - how the enemy moves. pattern is the name of one of the
+//	           MovementPatterns and the rest are the settings for that pattern.
+//	faceVelocity - (optional) true to turn the enemy to face the way it's flying
+//	weapon - (optional) how the enemy shoots back:
+//		pattern - "straight" to shoot straight ahead, "aimed" to shoot at the
+//		          player or "spread" for a fan of bullets aimed at the player
+//		cooldown - milliseconds between shots
+//		speed - pixels per frame the bullets move
+//		count, spreadAngle - for "spread", the number of bullets and the angle
+//		                     in degrees between them
+// The animation used for all enemy bullets
+var ENEMY_BULLET_ANIMATION = "enemyBullet";
+
+var ENEMY_TYPES = {
+	bug: {
+		animation: "bug",
+		hitPoints: 1,
+		score: 10,
+		movement: { pattern: "straight", speed: 1.66 }
+	},
+	weaver: {
+		animation: "bug",
+		hitPoints: 1,
+		score: 20,
+		movement: { pattern: "sineWave", speed: 1.5, amplitude: 40, period: 120 },
+		faceVelocity: true
+	},
+	gunner: {
+		animation: "bug",
+		hitPoints: 2,
+		score: 30,
+		movement: { pattern: "straight", speed: 1.2 },
+		weapon: { pattern: "straight", cooldown: 1500, speed: 4 }
+	},
+	diver: {
+		animation: "bug",
+		hitPoints: 1,
+		score: 20,
+		movement: { pattern: "diagonal", speed: 2, slope: 0.75 },
+		faceVelocity: true
+	},
+	hunter: {
+		animation: "bug",
+		hitPoints: 2,
+		score: 40,
+		movement: { pattern: "homing", speed: 1.2, turnSpeed: 0.8 },
+		faceVelocity: true,
+		weapon: { pattern: "aimed", cooldown: 2000, speed: 3 }
+	},
+	hoverer: {
+		animation: "bug",
+		hitPoints: 3,
+		score: 50,
+		movement: { pattern: "hover", speed: 1.5, hoverAt: 0.6, hoverFrames: 180, bob: 6 },
+		weapon: { pattern: "spread", cooldown: 1200, speed: 3, count: 3, spreadAngle: 15 }
+	},
+	// The boss at the end of each level. It flies in, then hovers and fires until destroyed.
+	queen: {
+		animation: "bug",
+		hitPoints: 30,
+		score: 500,
+		movement: { pattern: "hover", speed: 1, hoverAt: 0.75, hoverFrames: Infinity, bob: 40, bobPeriod: 240 },
+		weapon: { pattern: "spread", cooldown: 900, speed: 3, count: 5, spreadAngle: 12 }
+	}
+};
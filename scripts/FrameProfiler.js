@@ -0,0 +1,168 @@
+// Measures how long the game takes to play each frame and watches the memory
+// the browser is using, so that we can see when the game stutters and whether
+// the garbage collector is to blame. When it's turned on it draws a graph of
+// the last few seconds of frames over the game along with any counters it has
+// been given, e.g. the number of sprites.
+// The memory figures come from performance.memory, which only some browsers
+// (e.g. Chrome) have. Chrome only updates it every so often unless it is
+// started with --enable-precise-memory-info, so treat them as a rough guide.
+// Parameters:
+//	sampleCount - the number of frames to keep figures for (default 120)
+function FrameProfiler(sampleCount) {
+	var SAMPLES = sampleCount || 120;
+	var FRAME_BUDGET_MS = 1000/60;	// Any longer than this and we can't keep up with 60 frames a second
+	var GRAPH_HEIGHT = 40;
+	var LINE_HEIGHT = 14;
+	// The figures for each frame are kept in rings of SAMPLES entries, with
+	// next being the entry for the next frame.
+	var stepTimes = new Float64Array(SAMPLES);	// How long each frame took to play, in ms
+	var intervals = new Float64Array(SAMPLES);	// The time from the start of one frame to the next
+	var collected = new Uint8Array(SAMPLES);	// 1 if the garbage collector ran during the frame
+	var next = 0;
+	var count = 0;
+	var frameStart = 0;
+	var lastFrameStart = 0;
+	var lastHeap = 0;
+	var heapGrowth = 0;		// The average bytes the heap grew by each frame, when it grew
+	var gcCount = 0;
+	var enabled = false;
+	// Each counter is { name: "Enemies", getValue: fn }
+	var counters = [];
+
+	this.setEnabled = function(status) {
+		enabled = status;
+	};
+
+	this.isEnabled = function() {
+		return enabled;
+	};
+
+	this.toggle = function() {
+		enabled = !enabled;
+	};
+
+	// Show a value on the overlay. getValue is called each time it's drawn.
+	// Returns the counter, which can be given to removeCounter.
+	this.addCounter = function(name, getValue) {
+		var counter = { name: name, getValue: getValue };
+		counters.push(counter);
+		return counter;
+	};
+
+	this.removeCounter = function(counter) {
+		counters = counters.filter(function(other) {
+			return other !== counter;
+		});
+	};
+
+	// Call at the start of each frame...
+	this.beginFrame = function() {
+		frameStart = now();
+	};
+
+	// ...and at the end of it.
+	this.endFrame = function() {
+		var end = now();
+		stepTimes[next] = end - frameStart;
+		intervals[next] = lastFrameStart > 0 ? frameStart - lastFrameStart : FRAME_BUDGET_MS;
+		lastFrameStart = frameStart;
+		collected[next] = checkHeap() ? 1 : 0;
+		next = (next + 1) % SAMPLES;
+		count = Math.min(count + 1, SAMPLES);
+	};
+
+	// Returns { fps, stepMs, maxStepMs, heapGrowth, gcCount } for the frames we have figures for.
+	this.getStats = function() {
+		var totalStep = 0, maxStep = 0, totalInterval = 0;
+		for ( var ix = 0; ix < count; ix++ ) {
+			totalStep += stepTimes[ix];
+			maxStep = Math.max(maxStep, stepTimes[ix]);
+			totalInterval += intervals[ix];
+		}
+		return {
+			fps: totalInterval > 0 ? 1000*count/totalInterval : 0,
+			stepMs: count > 0 ? totalStep/count : 0,
+			maxStepMs: maxStep,
+			heapGrowth: heapGrowth,
+			gcCount: gcCount
+		};
+	};
+
+	// The overlay is drawn in the top right corner of an area areaWidth wide,
+	// or of the canvas if areaWidth isn't given.
+	this.render = function(drawCtx, areaWidth) {
+		if ( !enabled ) {
+			return;
+		}
+		var stats = this.getStats();
+		var lines = [
+			"FPS " + stats.fps.toFixed(1) + "  step " + stats.stepMs.toFixed(2) + "ms (max " + stats.maxStepMs.toFixed(2) + ")"
+		];
+		if ( hasMemoryInfo() ) {
+			lines.push("Heap " + (performance.memory.usedJSHeapSize/1048576).toFixed(1) + "MB  +" +
+				(stats.heapGrowth/1024).toFixed(1) + "KB/frame  GCs " + stats.gcCount);
+		}
+		counters.forEach(function(counter) {
+			lines.push(counter.name + ": " + counter.getValue());
+		});
+		var width = SAMPLES*2 + 8;
+		var height = GRAPH_HEIGHT + 8 + lines.length*LINE_HEIGHT;
+		var left = (areaWidth === undefined ? drawCtx.canvas.width : areaWidth) - width - 4, top = 4;
+		drawCtx.save();
+		drawCtx.globalAlpha = 0.75;
+		drawCtx.fillStyle = "black";
+		drawCtx.fillRect(left, top, width, height);
+		drawCtx.globalAlpha = 1;
+		// One bar for each frame, oldest on the left. The line is the time we've
+		// got for each frame. Frames where the garbage collector ran are red.
+		var graphBottom = top + 4 + GRAPH_HEIGHT;
+		for ( var ix = 0; ix < count; ix++ ) {
+			var sample = (next - count + ix + SAMPLES) % SAMPLES;
+			var barHeight = Math.min(GRAPH_HEIGHT, GRAPH_HEIGHT*stepTimes[sample]/(2*FRAME_BUDGET_MS));
+			drawCtx.fillStyle = collected[sample] ? "red" : stepTimes[sample] > FRAME_BUDGET_MS ? "yellow" : "green";
+			drawCtx.fillRect(left + 4 + ix*2, graphBottom - barHeight, 2, barHeight);
+		}
+		drawCtx.strokeStyle = "white";
+		drawCtx.beginPath();
+		drawCtx.moveTo(left + 4, graphBottom - GRAPH_HEIGHT/2);
+		drawCtx.lineTo(left + width - 4, graphBottom - GRAPH_HEIGHT/2);
+		drawCtx.stroke();
+		drawCtx.fillStyle = "white";
+		drawCtx.font = "11px 'Courier New', monospace";
+		drawCtx.textAlign = "left";
+		drawCtx.textBaseline = "top";
+		lines.forEach(function(line, lineNo) {
+			drawCtx.fillText(line, left + 4, graphBottom + 4 + lineNo*LINE_HEIGHT);
+		});
+		drawCtx.restore();
+	};
+
+	function now() {
+		return window.performance && performance.now ? performance.now() : Date.now();
+	}
+
+	function hasMemoryInfo() {
+		return !!(window.performance && performance.memory);
+	}
+
+	// See how much the heap has changed since the last frame. It grows as we
+	// create objects and shrinks when the garbage collector clears them up, so
+	// we return true if it has shrunk.
+	function checkHeap() {
+		if ( !hasMemoryInfo() ) {
+			return false;
+		}
+		var heap = performance.memory.usedJSHeapSize;
+		var change = lastHeap > 0 ? heap - lastHeap : 0;
+		lastHeap = heap;
+		if ( change < 0 ) {
+			gcCount++;
+			return true;
+		}
+		if ( change > 0 ) {
+			// Keep a running average so that one big frame doesn't swamp the figure.
+			heapGrowth = heapGrowth*0.9 + change*0.1;
+		}
+		return false;
+	}
+}
@@ -1,52 +1,119 @@
-function GameClock() {
+// Our game clock. It counts time in frames and calls each of the registered
+// step functions once for every frame that passes.
+// Parameters:
+//	timeSource - where the clock gets the time from. Defaults to an
+//	             AnimationFrameTimeSource which follows the browser. Pass
+//	             a ManualTimeSource to drive the clock using step().
+function GameClock(timeSource) {
+	var source = timeSource || new AnimationFrameTimeSource();
 	var stepFunctions = [];
 	var lastTickTime = 0;
 	// The number of millisecomds between frames doesn't
-	// change. So if we're going to have 60 frames per 
+	// change. So if we're going to have 60 frames per
 	// second, we can calculate the number of milliseconds
 	// that will elapse between frames.
 	var millsecsPerFrame = 1000/60;
+	// If the browser stops calling us for a while (e.g. the tab is hidden)
+	// we don't want to try and catch up on hundreds of frames at once.
+	var MAX_CATCHUP_FRAMES = 5;
+	// How fast game time passes compared to real time, e.g. 0.5 for half speed.
+	var timeScale = 1;
 	// We use this to keep track of the current frame number
 	var currentFrameNo = 0;
-	var animationId = 0;	// Returned by RequestAnimationFrame
-	
+	var animationId = 0;	// Returned by the time source's requestFrame
+	var running = false;
+
 	this.start = function() {
-		animationId = requestAnimationFrame(clockTick);
+		if ( !running ) {
+			running = true;
+			lastTickTime = source.now();
+			animationId = source.requestFrame(clockTick);
+		}
+	};
+
+	// Stop the clock ticking. It can be started again with start().
+	this.stop = function() {
+		if ( running ) {
+			running = false;
+			source.cancelFrame(animationId);
+		}
+	};
+
+	this.isRunning = function() {
+		return running;
 	};
-	
+
+	// Run the game faster or slower than real time, e.g. for slow motion. The
+	// game still plays exactly the same frames, they just come more or less often.
+	this.setTimeScale = function(scale) {
+		timeScale = Math.max(0.05, scale);
+	};
+
+	this.getTimeScale = function() {
+		return timeScale;
+	};
+
 	this.registerStep = function(stepFunction) {
 		stepFunctions.push(stepFunction);
 	};
-	
+
+	// Move the clock on by a number of frames ourselves rather than waiting
+	// for the time source. This is how we step through a game frame by frame.
+	this.step = function(numFrames) {
+		advance(numFrames === undefined ? 1 : numFrames);
+	};
+
+	// Put the clock back to frame zero, e.g. when the game starts again.
+	this.reset = function() {
+		currentFrameNo = 0;
+		lastTickTime = source.now();
+	};
+
+	this.getFrameNo = function() {
+		return currentFrameNo;
+	};
+
+	// The game time is measured in frames rather than by looking at a
+	// real clock, so that a game always plays out the same way however
+	// smoothly the browser manages to call us.
+	this.getElapsedMillis = function() {
+		return currentFrameNo * millsecsPerFrame;
+	};
+
+	function advance(numFrames) {
+		// We always call the step functions one frame at a time. This means
+		// the game does exactly the same thing each frame whether we are
+		// running smoothly or catching up on a few missed frames.
+		for ( var frame = 0; frame < numFrames; frame++ ) {
+			currentFrameNo++;
+			stepFunctions.forEach(function(fn) {
+				fn(1, currentFrameNo);
+			});
+		}
+	}
+
 	function clockTick(timestamp) {
-		// If timestamp isn't passed to this function, then
-		// we calculate the current time using the built-in
-		// Date class.
-		timestamp = timestamp || Date.now();
+		var tickId = animationId;
 		// Calculate the number of milli-seconds that have
 		// elapsed since we were last called.
-		var elapsed = timestamp - lastTickTime;
+		var elapsed = (timestamp - lastTickTime)*timeScale;
 		var framesSinceLastTick = Math.floor(elapsed/millsecsPerFrame);
-		currentFrameNo += framesSinceLastTick;
-		if ( framesSinceLastTick > 0 ) {
-			stepFunctions.forEach(function(fn) { 
-				fn(framesSinceLastTick, currentFrameNo);
-			});
+		if ( framesSinceLastTick > MAX_CATCHUP_FRAMES ) {
+			// We've fallen too far behind, so just carry on from now.
+			framesSinceLastTick = MAX_CATCHUP_FRAMES;
 			lastTickTime = timestamp;
+		} else {
+			// Keep the part of a frame left over so that it counts
+			// towards the next tick.
+			lastTickTime += framesSinceLastTick * millsecsPerFrame/timeScale;
 		}
+		advance(framesSinceLastTick);
 		// Finally we schedule this function to be called
-		// on the next clock tick.
-		animationId = requestAnimationFrame(clockTick);
+		// on the next clock tick, unless one of the steps stopped
+		// the clock (e.g. the game was paused) or stopped and started it
+		// again. Either way asking again would leave two loops running.
+		if ( running && animationId === tickId ) {
+			animationId = source.requestFrame(clockTick);
+		}
 	}
-	
-	// We want to define a function called requestAnimationFrame,
-	// however it may be implemented differently across 
-	// different browsers. So we use this trick to find an
-	// implementation and make them all look the same.
-	var requestAnimationFrame = 
-			window.requestAnimationFrame ||
-			window.mozRequestAnimationFrame ||
-			window.webkitRequestAnimationFrame ||
-			window.msRequestAnimationFrame ||
-			function( animationCallback ) { window.setTimeout(animationCallback, millsecsPerFrame);};
-}
\ No newline at end of file
+}
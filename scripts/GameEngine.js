@@ -1,70 +1,250 @@
-function GameEngine(gameCanvas, imageCache) {
+// Parameters:
+//	gameCanvas - the canvas element that we draw the game on
+//	imageCache - an ImageCache that has loaded all of our images
+//	options - settings for the game:
+//		spriteAtlas - the SpriteAtlas that our sprites are created from. This one
+//		              has to be given.
+//		seed - the seed for the game's random numbers. The same seed and the
+//		       same key presses will always give the same game.
+//		timeSource - the time source for the game clock. Pass a ManualTimeSource
+//		             to step through the game yourself using step().
+//		replay - a GameRecording to play back. The keyboard is ignored and the
+//		         recorded key presses are used instead.
+//		lives - the number of lives the player starts with (default 3)
+//		hitPoints - the number of hits the player can take before losing a life (default 1)
+//		pixelCollisions - true to check the pixels of sprites that collide as
+//		                  well as their hitboxes (default false)
+//		maxEnemies - the most enemies there can be on the canvas at once (default 100)
+//		enemyTypes - the types of enemy to use (default ENEMY_TYPES from EnemyTypes.js)
+//		levels - the levels to play (default LEVELS from Levels.js)
+//		weaponTypes - the weapons the player can carry (default WEAPON_TYPES from Weapons.js)
+//		backgrounds - the backgrounds the levels can use (default BACKGROUNDS from Backgrounds.js)
+//		particleEffects - the debris, smoke and rotorWash effects (default PARTICLE_EFFECTS
+//		                  from ParticleEffects.js)
+//		inputManager - the InputManager to take the player's actions from. If not
+//		               given the game creates its own.
+//		audioManager - the AudioManager to play sounds and music with. If not
+//		               given the game is silent.
+//		display - the CanvasScaler that fits the canvas to the page. The game is
+//		          played in its logical coordinates. Without one the canvas's own
+//		          width and height are used.
+//		profiler - a FrameProfiler to measure how long each frame takes. It draws
+//		           its overlay on the game when it's turned on.
+//		players - 2 for a co-op game where a second player flies their own
+//		          gunship with the P2_ actions (default 1)
+//		sharedScore - in a co-op game, true if the players' points go towards one
+//		              score or false if each keeps their own (default true). The
+//		              total is still used for the recording.
+//		debug - a DebugOverlay to draw over the game. It's given hooks into the
+//		        game so that its console can change it (see createDebugHooks).
+function GameEngine(gameCanvas, imageCache, options) {
 	// Store the parameters passed in here in case we need them later.
 	var theCanvas = gameCanvas;
 	var theImages = imageCache;
+	var theOptions = options || {};
+	// A recording has to be played back with the same settings it was recorded with.
+	if ( theOptions.replay ) {
+		theOptions = $.extend({}, theOptions, theOptions.replay.getSettings());
+	}
+	// Our private functions need a way to call our public ones.
+	var self = this;
+	var spriteAtlas = theOptions.spriteAtlas;
+	var display = theOptions.display || null;
 	
-	var canvasHeight = theCanvas.clientHeight,
-		canvasWidth  = theCanvas.clientWidth;
+	// Everything in the game is positioned in logical coordinates, which stay
+	// the same however big the canvas is shown on the page.
+	var canvasHeight = display ? display.getHeight() : theCanvas.height,
+		canvasWidth  = display ? display.getWidth() : theCanvas.width;
 		
 	var MOVE_PIXELS = 3;
-	var BULLET_SPEED = 5;
-    var KEY_REPEAT_DELAY = 250;     // Milliseconds between registered keypresses
 	// Get the drawing context that we're going to use to draw on our game surface.
 	var drawCtx = theCanvas.getContext("2d");
 	
 	// The game will need a game clock - so create it here.
-	var gameClock = new GameClock();
+	var gameClock = new GameClock(theOptions.timeSource);
+	// Everything random in our game comes from here so that a game can
+	// be played again exactly from its seed.
+	var random = new GameRandom(theOptions.replay ? theOptions.replay.getSeed() : theOptions.seed);
+	var paused = false;
+	// Once the last level is complete the game stops where it is.
+	var gameWon = false;
+	// Turns the player's controls into actions. Created when the game starts.
+	var inputManager = null;
+	var audioManager = theOptions.audioManager || null;
+	var profiler = theOptions.profiler || null;
+	// The counters we've added to the profiler, so we can take them off again when we're destroyed.
+	var profilerCounters = [];
+	var debug = theOptions.debug || null;
+	// Set from the debug console to stop the players being hurt.
+	var invincible = false;
+	// When we're playing back a recording we take our key presses from it,
+	// otherwise we record the key presses so that the game can be saved.
+	var replay = theOptions.replay || null;
+	var replayInputs = replay ? replay.getInputs() : [];
+	var replayIdx = 0;	// The next input in replayInputs to use
+	var recording = null;	// Created when the game starts
+	// Keep our own total of the score so that it can be saved with the recording.
+	var totalScore = 0;
+	// Destroying enemies in quick succession builds up a combo, and the
+	// points for each enemy are multiplied by the length of the combo.
+	var COMBO_WINDOW_MS = 1500;		// The most time between kills to keep a combo going
+	var MAX_MULTIPLIER = 8;
+	var combo = 0;					// The number of kills in the current combo
+	var lastKillTime = 0;
+	
+	// One player, or two flying together. Each player has their own gunship,
+	// lives, weapon and score, but the game is only over once both are destroyed.
+	var NUM_PLAYERS = theOptions.players === 2 ? 2 : 1;
+	var sharedScore = theOptions.sharedScore !== false;
+	var PLAYER_COLOURS = [ "yellow", "cyan" ];	// For the labels over the gunships in co-op
+	// Interrogate a player sprite to find out it's width and height.
+	var playerSize = spriteAtlas.createSprite("player").getSize();
+	var playerWidth = playerSize.w;
+	var playerHeight = playerSize.h;
 	
-	var playerSprite = createPlayerSprite();
-	// Interrogate the playersprite to find out it's width and height.
-	var playerWidth = playerSprite.getSize().w;
-	var playerHeight = playerSprite.getSize().h;
+	var MAX_LIVES = theOptions.lives || 3;
+	var MAX_HIT_POINTS = theOptions.hitPoints || 1;
+	var RESPAWN_INVULNERABLE_MS = 3000;	// How long the player can't be hurt after respawning
+	var HIT_INVULNERABLE_MS = 1000;		// How long the player can't be hurt after taking a hit
+	var BLINK_FRAMES = 6;				// Number of frames the player is shown or hidden for while blinking
+	var DAMAGE_FLASH_FRAMES = 8;		// How long a sprite flashes for when it's hit
+	var HOMING_LIFE_FRAMES = 240;		// How long a homing missile flies for before it burns out
 	
 	// We're going to have a lot of enemy sprites so array
 	var enemies = [];
 	// Just like the enemies, we can have a lot of bullets on screen.
 	// Manage these here.
 	var bullets = [];
+	// The enemies' bullets are kept separately as they can only hit the player.
+	var enemyBullets = [];
 	// Manage explosions
 	var explosions = [];
+	var EXPLOSION_FRAMES = 180;		// How many frames the explosion animation lasts
+	var EXPLOSION_SCALE = 1.5;		// How much bigger an explosion gets before it's gone
+	// Rather than create new sprites for every enemy, bullet and explosion we
+	// take them from pools and give them back once they're done (see SpritePool).
+	// Enemies and bullets have a pool for each animation.
+	var enemyPools = {};
+	var bulletPools = {};
+	var enemyBulletPool = createPool(createPooledEnemyBullet);
+	var explosionPool = createPool(createPooledExplosion);
+	var allPools = [ enemyBulletPool, explosionPool ];
+	// Each enemy gets a number when it's spawned so that we can tell it apart
+	// from an earlier enemy that used the same sprite.
+	var enemiesSpawned = 0;
+	// Debris, smoke and the gunship's rotor wash. The particles have their own
+	// random numbers, started from the game's seed, so that they look the same
+	// each time a game is played back without changing the game itself.
+	var particles = new ParticleSystem(random.getSeed());
+	var particleEffects = theOptions.particleEffects || PARTICLE_EFFECTS;
+	// The floating "+20 x3" text shown where an enemy was destroyed
+	var scorePopups = [];
+	// Power-ups dropped by destroyed enemies waiting to be collected
+	var powerUps = [];
+	var weaponTypes = theOptions.weaponTypes || WEAPON_TYPES;
+	// Everything we know about each player (see createPlayer)
+	var players = [];
+	for ( var playerNo = 1; playerNo <= NUM_PLAYERS; playerNo++ ) {
+		players.push(createPlayer(playerNo));
+	}
+	// The images for our power-ups are drawn when the game starts, one for each weapon type.
+	var POWER_UP_SIZE = 20;
+	var powerUpImage = createPowerUpImage();
+	// Works out which of our sprites have hit each other
+	var collisionDetector = new CollisionDetector(theOptions.pixelCollisions);
 	
-	// keep track of the start time so that we can determine how long the game has been running.
-	var gameStartTime = 0;
-	var ENEMY_ADDITION_INCREMENT = 0.05;// Every time we ratchet up the level this specifies how much we increment by
-	var initialAdditionRate = 0.05;		// Initial rate for adding enemies.
-	var MS_PER_INCREMENT = 15000;		// Ratchet up the level every 15secs.
-	var MAX_ENEMIES = 100;
+	var MAX_ENEMIES = theOptions.maxEnemies || 100;
+	var enemyTypes = theOptions.enemyTypes || ENEMY_TYPES;
+	var levels = theOptions.levels || LEVELS;
+	// Decides which enemies appear and when. Created when the game starts.
+	var levelDirector = null;
+	// What our enemies' movement patterns need to know about the game.
+	// The positions it returns are reused, so they're only good until the next call.
+	var targetPosition = { top: 0, left: 0 };
+	var nearestEnemyCentre = { top: 0, left: 0 };
+	var movementContext = {
+		width: canvasWidth,
+		height: canvasHeight,
+		random: random,
+		getTargetPosition: function(top, left) {
+			var player = findNearestPlayer(top, left);
+			targetPosition.top = player.sprite.getTop() + playerHeight/2;
+			targetPosition.left = player.sprite.getLeft() + playerWidth/2;
+			return targetPosition;
+		},
+		findNearestEnemy: findNearestEnemy
+	};
 	
-	// We only need to create the pattern once so do it when we initialise the game engine.
-	var pattern = drawCtx.createPattern(imageCache.get('images/terrain.png'),"repeat");
-	// The fill style isn't going to change throughout our game.
-	drawCtx.fillStyle = pattern;
+	// The scrolling background. Each level chooses its own background and how fast it scrolls.
+	var backgrounds = theOptions.backgrounds || BACKGROUNDS;
+	var background = new Background(imageCache, canvasWidth, canvasHeight);
+	var BACKGROUND_FADE_FRAMES = 120;	// How long one background takes to fade into the next
+	// How fast the background scrolls, compared to the level's scrollSpeed,
+	// depending on what the level director is doing.
+	var SCROLL_FACTORS = { waves: 1, boss: 0.25, "break": 2, finished: 0 };
 	
 	// An array that we use to store a set of callbacks for events
 	var scoreEventListeners = [];
 	// Add an array for done listeners
 	var playerDestroyedListeners = [];
+	// And one for listeners that want to know when the game is paused or resumed
+	var pauseListeners = [];
+	// Listeners for when the player loses a life or their hit points change
+	var lifeLostListeners = [];
+	var healthChangedListeners = [];
+	// Listeners for the start and end of each level
+	var levelStartedListeners = [];
+	var levelCompletedListeners = [];
+	// Listeners for when the player's weapon changes
+	var weaponChangedListeners = [];
+	// Listeners for when the combo or multiplier changes
+	var comboListeners = [];
 	
 	var keyStatusMap = {};
     var keyHitTime = {};
 	
-	function setKeyStatus(keyEvent, status) {
-		switch( keyEvent.keyCode ) {
-			case 32:  // Space key
-				keyStatusMap["SPACE"] = status;
-				break;
-			case 37:  // Left key
-				keyStatusMap["LEFT"] = status;
-				break;
-			case 38: // Up key
-				keyStatusMap["UP"] = status;
-				break;
-			case 39: // Right key
-				keyStatusMap["RIGHT"] = status;
-				break;
-			case 40: // DOWN key
-				keyStatusMap["DOWN"] = status;
-				break;
+	// Called by the InputManager whenever one of the player's actions starts or stops.
+	function onAction(action, status) {
+		if ( action === "PAUSE" ) {
+			if ( status ) {
+				togglePause();
+			}
+		} else if ( action === "MUTE" ) {
+			// Muting doesn't change the game, so it isn't recorded.
+			if ( status && audioManager ) {
+				audioManager.toggleMute();
+			}
+		} else if ( action === "FULLSCREEN" ) {
+			// Neither does going fullscreen, as the game's coordinates stay the same.
+			if ( status && display ) {
+				display.toggleFullscreen();
+			}
+		} else {
+			changeKeyStatus(action, status);
+		}
+	}
+	
+	function onWindowBlur() {
+		// If the player switches to another window we pause the game. The
+		// InputManager lets go of any actions that were held down.
+		self.pause();
+	}
+	
+	// Update the status of an action and, if it has changed, record it along with
+	// the number of the last frame that was played.
+	function changeKeyStatus(keyName, status) {
+		if ( !!keyStatusMap[keyName] !== status ) {
+			keyStatusMap[keyName] = status;
+			recording.recordInput(gameClock.getFrameNo(), keyName, status);
+		}
+	}
+	
+	// When playing back a recording, apply the key presses that happened
+	// after the given frame was played.
+	function applyReplayInputs(frameNo) {
+		while ( replayIdx < replayInputs.length && replayInputs[replayIdx].frame <= frameNo ) {
+			var input = replayInputs[replayIdx++];
+			keyStatusMap[input.key] = input.status;
 		}
 	}
 	
@@ -81,13 +261,36 @@ function GameEngine(gameCanvas, imageCache) {
 		}
 	}
 	
-	function notifyScoreUpdate( score ) {
-		var scoreEvent = { score: score };
+	// The score event tells the listener everything about the points scored:
+	//	score - the points scored, including the multiplier
+	//	basePoints - the points for the enemy before the multiplier
+	//	multiplier, combo - the multiplier used and the length of the combo
+	//	enemyType - the name of the type of enemy destroyed
+	//	position - { top, left } of the centre of the enemy when it was destroyed
+	//	cause - the type of weapon that destroyed it
+	//	player - the number of the player who destroyed it, 1 or 2
+	//	frame - the frame it was destroyed on
+	function notifyScoreUpdate( scoreEvent ) {
+		totalScore += scoreEvent.score;
+		getPlayer(scoreEvent.player).score += scoreEvent.score;
 		scoreEventListeners.forEach(function(listener) {
 			listener(scoreEvent);
 		});
 	}
 	
+	// The listener is called with { combo: n, multiplier: m }
+	this.addComboListener = function(listener) {
+		comboListeners.push(listener);
+	}
+	
+	function notifyComboListeners() {
+		var comboEvent = { combo: combo, multiplier: getMultiplier() };
+		comboListeners.forEach(function(listener) {
+			listener(comboEvent);
+		});
+	}
+	
+	// Called when the last player has been destroyed and the game is over.
 	this.addPlayerDestroyedListener = function(listener) {
 		playerDestroyedListeners.push(listener);
 	}
@@ -98,156 +301,862 @@ function GameEngine(gameCanvas, imageCache) {
 		});
 	}
 	
-	this.init = function() {
-		gameStartTime = Date.now()
-		$(document).keydown(function(keyEvent) {
-			setKeyStatus(keyEvent,true);
+	// The listener is called with { lives: n, player: p } where n is the number
+	// of lives player p has remaining
+	this.addLifeLostListener = function(listener) {
+		lifeLostListeners.push(listener);
+	}
+	
+	function notifyLifeLostListeners(player) {
+		var lifeLostEvent = { lives: player.lives, player: player.number };
+		lifeLostListeners.forEach(function(listener) {
+			listener(lifeLostEvent);
 		});
-		
-		$(document).keyup(function(keyEvent) {
-			setKeyStatus(keyEvent,false);
+	}
+	
+	// The listener is called with { hitPoints: n, maxHitPoints: m, player: p }
+	this.addHealthChangedListener = function(listener) {
+		healthChangedListeners.push(listener);
+	}
+	
+	function notifyHealthChangedListeners(player) {
+		var healthEvent = { hitPoints: player.hitPoints, maxHitPoints: MAX_HIT_POINTS, player: player.number };
+		healthChangedListeners.forEach(function(listener) {
+			listener(healthEvent);
+		});
+	}
+	
+	// The listener is called with { levelNo: n, name: "...", lastLevel: true/false }
+	this.addLevelStartedListener = function(listener) {
+		levelStartedListeners.push(listener);
+	}
+	
+	function notifyLevelStartedListeners(levelEvent) {
+		levelStartedListeners.forEach(function(listener) {
+			listener(levelEvent);
+		});
+	}
+	
+	// The listener is called with the same kind of event as addLevelStartedListener.
+	// When lastLevel is true the player has completed the game.
+	this.addLevelCompletedListener = function(listener) {
+		levelCompletedListeners.push(listener);
+	}
+	
+	function notifyLevelCompletedListeners(levelEvent) {
+		levelCompletedListeners.forEach(function(listener) {
+			listener(levelEvent);
+		});
+	}
+	
+	// The listener is called with { type: "spread", name: "Spread", level: n, player: p }
+	this.addWeaponChangedListener = function(listener) {
+		weaponChangedListeners.push(listener);
+	}
+	
+	function notifyWeaponChangedListeners(player) {
+		var weapon = player.weapon;
+		var weaponEvent = { type: weapon.getTypeName(), name: weapon.getName(), level: weapon.getLevel(), player: player.number };
+		weaponChangedListeners.forEach(function(listener) {
+			listener(weaponEvent);
 		});
+	}
+	
+	// The listener is called with { paused: true } or { paused: false }
+	this.addPauseListener = function(listener) {
+		pauseListeners.push(listener);
+	}
+	
+	function notifyPauseListeners() {
+		var pauseEvent = { paused: paused };
+		pauseListeners.forEach(function(listener) {
+			listener(pauseEvent);
+		});
+	}
+	
+	this.init = function() {
+		// When playing back a recording the key presses come from the recording
+		// so we don't listen to the keyboard.
+		if ( !replay ) {
+			inputManager = theOptions.inputManager || new InputManager(theCanvas);
+			inputManager.addActionListener(onAction);
+			$(window).blur(onWindowBlur);
+		}
+	
+		if ( profiler ) {
+			addProfilerCounters();
+		}
+		if ( debug ) {
+			debug.attach(createDebugHooks());
+		}
 	
-		enemies.push(createEnemySprite());
+		resetGame();
 		gameClock.registerStep(function(framesElapsed,curFrameNo) {
-			Array.prototype.push.apply(enemies,addEnemies());
-			if ( !playerSprite.isDone() ) {
-				checkPlayerActions(framesElapsed);
+			// Stopping the clock doesn't stop the frames it's already catching up
+			// on, or frames stepped through by hand, so we ignore those.
+			if ( gameWon ) {
+				return;
+			}
+			if ( profiler ) {
+				profiler.beginFrame();
+			}
+			if ( debug ) {
+				debug.beginFrame();
+			}
+			if ( replay ) {
+				applyReplayInputs(curFrameNo-1);
+			}
+			addEnemies();
+			for ( var playerIx = 0; playerIx < players.length; playerIx++ ) {
+				if ( !players[playerIx].sprite.isDone() ) {
+					checkPlayerActions(players[playerIx], framesElapsed);
+				}
+			}
+			if ( isAnyPlayerFlying() ) {
+				fireEnemyWeapons();
+			}
+			background.setSpeed(scrollSpeed());
+			background.update(framesElapsed);
+			background.render(drawCtx);
+			// The gunships only trail rotor wash while they're flying and smoke while they're damaged.
+			for ( playerIx = 0; playerIx < players.length; playerIx++ ) {
+				var player = players[playerIx];
+				player.rotorWash.setActive(!player.sprite.isDone());
+				player.smoke.setActive(!player.sprite.isDone() && player.hitPoints < MAX_HIT_POINTS);
+			}
+			particles.update(framesElapsed);
+			particles.render(drawCtx);
+			for ( playerIx = 0; playerIx < players.length; playerIx++ ) {
+				renderPlayer(players[playerIx], framesElapsed, curFrameNo);
 			}
-			drawCtx.fillRect(0,0,theCanvas.width, theCanvas.height);
-			playerSprite.update(framesElapsed);
-			playerSprite.render(drawCtx);
 			var ix = 0;
 			// Turn forEach statment below into code for the below loop so that we can 
 			// remove completed sprites from the array as we process it.
 			renderSprites(enemies, framesElapsed);
 			if ( bullets.length > 0 ) {
-				renderSprites(bullets, framesElapsed);
+				renderSprites(bullets, framesElapsed, bulletRemoved);
+			}
+			if ( enemyBullets.length > 0 ) {
+				renderSprites(enemyBullets, framesElapsed);
+			}
+			if ( powerUps.length > 0 ) {
+				renderSprites(powerUps, framesElapsed);
 			}
 			if ( explosions.length > 0 ) {
 				renderSprites(explosions,framesElapsed);
 			}
+			if ( scorePopups.length > 0 ) {
+				renderSprites(scorePopups, framesElapsed);
+			}
+			if ( inputManager ) {
+				// Draw the on-screen controls on top of everything else
+				inputManager.render(drawCtx);
+			}
 			
-			enemies.forEach(function(nme){
-				bullets.forEach(function(bullet) {
-					if ( overlap(bullet, nme) ) {
-						bullet.setDone(true);
-						nme.setDone(true);
-						explosions.push(createExplosionAt(bullet.getPosition().top, bullet.getPosition().left));
-						notifyScoreUpdate(10);
-					}
-				});
-				
-				if ( !playerSprite.isDone() &&  overlap(playerSprite,nme) ) {
-					playerSprite.setDone(true);
-					explosions.push(createExplosionAt(playerSprite.getPosition().top, playerSprite.getPosition().left));
-					notifyPlayerDestroyedListeners();
-				}
-			});
+			collisionDetector.detect(bullets, enemies, bulletHitEnemy);
 			
+			// A combo ends if the player takes too long to destroy the next enemy.
+			if ( combo > 0 && gameClock.getElapsedMillis() - lastKillTime > COMBO_WINDOW_MS ) {
+				resetCombo();
+			}
 			
+			// The players can't be hurt once they've won, even on the frame they won it.
+			for ( playerIx = 0; playerIx < players.length && !gameWon; playerIx++ ) {
+				checkPlayerCollisions(players[playerIx], curFrameNo);
+			}
+			
+			if ( profiler ) {
+				profiler.endFrame();
+				profiler.render(drawCtx, canvasWidth);
+			}
+			if ( debug ) {
+				debug.render(drawCtx);
+			}
 		});
 		gameClock.start();
 	}
 	
-	// Calculates when to add another enemy and returns an array of enemies that were created.
-	function addEnemies() {
-		var elapsedTimeMillis = Date.now() - gameStartTime;
-		// Our current difficulty level is based on the number MS Increments that have elapsed since the game started which would be elapsedTime/MS_PER_INCREMENT.
-		// Current difficulty level is that value multipled by the ENEMY_ADDITION_INCREMENT.
-		// And then we add the initial difficulty level.
-		// initialAdditionRate + (ENEMY_ADDITION_INCREMENT * elapedTimeMillis/MS_PER_INCREMENT)
-		// We use Math.floor to make sure that elapsedTimeMillis/MS_PER_INCERMENT always returns an integer.
-		// currentLevel is going to go 0.05, 0.10, 0.15, 0.20 ... 1.00
-		// We want to limit it to a max of 1 so surround it by a call to Math.min
-		var currentLevel = Math.min(initialAdditionRate + ( ENEMY_ADDITION_INCREMENT * Math.floor(elapsedTimeMillis / MS_PER_INCREMENT)),1);
-		var currentMaxEnemies = Math.floor(MAX_ENEMIES * currentLevel);
-		var numToCreate = currentMaxEnemies - enemies.length;
-		if (numToCreate < 0) numToCreate = 0;
-		
-		var newEnemies = [];
-		while(numToCreate-- > 0) {
-			newEnemies.push(createEnemySprite());
+	this.pause = function() {
+		if ( !paused ) {
+			paused = true;
+			gameClock.stop();
+			if ( audioManager ) {
+				audioManager.pauseMusic();
+			}
+			notifyPauseListeners();
+		}
+	}
+	
+	this.resume = function() {
+		if ( paused ) {
+			paused = false;
+			gameClock.start();
+			if ( audioManager ) {
+				audioManager.resumeMusic();
+			}
+			notifyPauseListeners();
+		}
+	}
+	
+	this.isPaused = function() {
+		return paused;
+	}
+	
+	function togglePause() {
+		if ( paused ) {
+			self.resume();
+		} else {
+			self.pause();
+		}
+	}
+	
+	// Start a new game. Unless we were given a seed the new game gets a new one.
+	this.restart = function() {
+		random.setSeed(theOptions.seed);
+		resetGame();
+		this.resume();
+	}
+	
+	// Stop the game for good, removing our keyboard handlers and stopping the clock.
+	this.destroy = function() {
+		gameClock.stop();
+		if ( audioManager ) {
+			audioManager.stopMusic();
+		}
+		if ( inputManager ) {
+			inputManager.removeActionListener(onAction);
+			// If we created the InputManager then we have to get rid of it too.
+			if ( !theOptions.inputManager ) {
+				inputManager.destroy();
+			}
+		}
+		$(window).off("blur", onWindowBlur);
+		if ( profiler ) {
+			profilerCounters.forEach(profiler.removeCounter);
+			profilerCounters = [];
+		}
+		if ( debug ) {
+			debug.detach();
+		}
+		scoreEventListeners = [];
+		playerDestroyedListeners = [];
+		pauseListeners = [];
+		lifeLostListeners = [];
+		healthChangedListeners = [];
+		levelStartedListeners = [];
+		levelCompletedListeners = [];
+		weaponChangedListeners = [];
+		comboListeners = [];
+	}
+	
+	// Move the game on by a number of frames. Use this with a ManualTimeSource
+	// to step through the game frame by frame.
+	this.step = function(numFrames) {
+		gameClock.step(numFrames);
+	}
+	
+	this.getFrameNo = function() {
+		return gameClock.getFrameNo();
+	}
+	
+	this.getSeed = function() {
+		return random.getSeed();
+	}
+	
+	this.getScore = function() {
+		return totalScore;
+	}
+	
+	// Returns how long the game has been running in milliseconds, not counting pauses.
+	this.getGameTime = function() {
+		return gameClock.getElapsedMillis();
+	}
+	
+	this.getLevelNo = function() {
+		return levelDirector.getLevelNo();
+	}
+	
+	// Returns { type: "spread", name: "Spread", level: n } for the player's weapon.
+	// The player getters are for player 1 unless they're given a player number.
+	this.getWeapon = function(playerNo) {
+		var weapon = getPlayer(playerNo).weapon;
+		return { type: weapon.getTypeName(), name: weapon.getName(), level: weapon.getLevel() };
+	}
+	
+	this.getMultiplier = function() {
+		return getMultiplier();
+	}
+	
+	this.getLives = function(playerNo) {
+		return getPlayer(playerNo).lives;
+	}
+	
+	this.getHitPoints = function(playerNo) {
+		return getPlayer(playerNo).hitPoints;
+	}
+	
+	// The points scored by one player. getScore is the total for all of the players.
+	this.getPlayerScore = function(playerNo) {
+		return getPlayer(playerNo).score;
+	}
+	
+	this.getPlayerCount = function() {
+		return NUM_PLAYERS;
+	}
+	
+	this.isScoreShared = function() {
+		return sharedScore;
+	}
+	
+	this.getMaxHitPoints = function() {
+		return MAX_HIT_POINTS;
+	}
+	
+	// Returns a GameRecording of the game so far, which can be saved with
+	// JSON.stringify and played back by passing it as the replay option.
+	this.getRecording = function() {
+		if ( !gameWon ) {
+			recording.finish(gameClock.getFrameNo(), totalScore);
+		}
+		return recording;
+	}
+	
+	// Move the game to the given frame. Since the game always plays out the
+	// same way we go backwards by starting again and playing forward.
+	this.seekTo = function(frameNo) {
+		if ( frameNo < gameClock.getFrameNo() ) {
+			resetGame();
+		}
+		gameClock.step(frameNo - gameClock.getFrameNo());
+	}
+	
+	// Put everything back the way it was at the start of the game.
+	function resetGame() {
+		releaseAll(enemies);
+		releaseAll(bullets);
+		releaseAll(enemyBullets);
+		releaseAll(explosions);
+		particles.clear(random.getSeed());
+		scorePopups = [];
+		powerUps = [];
+		combo = 0;
+		lastKillTime = 0;
+		gameWon = false;
+		// A new game starts without any help from the debug console.
+		invincible = false;
+		keyStatusMap = {};
+		keyHitTime = {};
+		replayIdx = 0;
+		totalScore = 0;
+		random.reset();
+		recording = new GameRecording(random.getSeed(), {
+			lives: MAX_LIVES,
+			hitPoints: MAX_HIT_POINTS,
+			pixelCollisions: !!theOptions.pixelCollisions,
+			maxEnemies: MAX_ENEMIES,
+			players: NUM_PLAYERS,
+			sharedScore: sharedScore
+		});
+		gameClock.reset();
+		players.forEach(resetPlayer);
+		levelDirector = new LevelDirector(levels, canvasHeight, random, {
+			levelStarted: levelStarted,
+			levelCompleted: levelCompleted
+		});
+		levelDirector.start(gameClock.getElapsedMillis());
+		background.reset();
+		background.setSpeed(scrollSpeed(), true);
+		players.forEach(notifyWeaponChangedListeners);
+	}
+	
+	// Everything about one of the players. Player 1 uses the UP, DOWN, LEFT,
+	// RIGHT and FIRE actions and player 2 uses P2_UP and so on. Their gunship
+	// and the rest are set up when the game starts (see resetPlayer).
+	function createPlayer(number) {
+		var prefix = number === 1 ? "" : "P" + number + "_";
+		var player = {
+			number: number,
+			actions: { UP: prefix + "UP", DOWN: prefix + "DOWN", LEFT: prefix + "LEFT",
+					   RIGHT: prefix + "RIGHT", FIRE: prefix + "FIRE" },
+			sprite: null,
+			lives: MAX_LIVES,
+			hitPoints: MAX_HIT_POINTS,
+			// The game time, in milliseconds, until which the player can't be hurt.
+			invulnerableUntil: 0,
+			weapon: new PlayerWeapon(weaponTypes),
+			// The laser's beam while FIRE is held down with it, otherwise null or done.
+			beam: null,
+			score: 0
+		};
+		// The rotor wash blows back from under the middle of the gunship and smoke
+		// comes from its engine at the top. The emitters ask where they are every
+		// frame so we update the same position objects rather than creating new ones.
+		var rotorWashPosition = { top: 0, left: 0 };
+		player.rotorWash = particles.createEmitter(particleEffects.rotorWash, function() {
+			rotorWashPosition.top = player.sprite.getTop() + playerHeight;
+			rotorWashPosition.left = player.sprite.getLeft() + playerWidth/2;
+			return rotorWashPosition;
+		});
+		var smokePosition = { top: 0, left: 0 };
+		player.smoke = particles.createEmitter(particleEffects.smoke, function() {
+			smokePosition.top = player.sprite.getTop() + 4;
+			smokePosition.left = player.sprite.getLeft() + playerWidth/3;
+			return smokePosition;
+		});
+		return player;
+	}
+	
+	function resetPlayer(player) {
+		player.sprite = createPlayerSprite(player);
+		player.lives = MAX_LIVES;
+		player.hitPoints = MAX_HIT_POINTS;
+		player.invulnerableUntil = 0;
+		player.weapon.reset();
+		player.beam = null;
+		player.score = 0;
+	}
+	
+	// Returns player 1 unless we're given another player's number.
+	function getPlayer(playerNo) {
+		return players[(playerNo || 1) - 1];
+	}
+	
+	function isAnyPlayerFlying() {
+		for ( var ix = 0; ix < players.length; ix++ ) {
+			if ( !players[ix].sprite.isDone() ) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	// Returns the player still flying whose gunship is nearest to the position given.
+	// If they've all been destroyed it's player 1.
+	function findNearestPlayer(top, left) {
+		var nearest = players[0], nearestDistance = Infinity;
+		for ( var ix = 0; ix < players.length; ix++ ) {
+			var s = players[ix].sprite;
+			if ( !s.isDone() ) {
+				var distance = Math.pow(s.getTop() + playerHeight/2 - top, 2) +
+							   Math.pow(s.getLeft() + playerWidth/2 - left, 2);
+				if ( distance < nearestDistance ) {
+					nearest = players[ix];
+					nearestDistance = distance;
+				}
+			}
+		}
+		return nearest;
+	}
+	
+	function levelStarted(levelEvent) {
+		var level = levels[levelEvent.levelNo - 1];
+		var layers = backgrounds[level.background || "day"];
+		// The first level's background appears straight away, later ones fade in.
+		background.setLayers(layers, levelEvent.levelNo > 1 ? BACKGROUND_FADE_FRAMES : 0);
+		playSound(SOUNDS.levelStart);
+		if ( audioManager ) {
+			audioManager.playMusic(SOUNDS.music);
+		}
+		notifyLevelStartedListeners(levelEvent);
+	}
+	
+	function levelCompleted(levelEvent) {
+		playSound(SOUNDS.levelComplete);
+		if ( levelEvent.lastLevel ) {
+			// That's the game won. Stop it here, so nothing can hit the players
+			// behind the end of game screen, and end the recording on this frame.
+			gameWon = true;
+			gameClock.stop();
+			recording.finish(gameClock.getFrameNo(), totalScore);
+			if ( audioManager ) {
+				audioManager.stopMusic();
+			}
+		}
+		notifyLevelCompletedListeners(levelEvent);
+	}
+	
+	// Play one of our SOUNDS, if we've got an AudioManager to play it with.
+	function playSound(url) {
+		if ( audioManager ) {
+			audioManager.playSound(url);
+		}
+	}
+	
+	// The background scrolls at the level's speed while the waves are coming,
+	// slows down for the boss fight and speeds up between levels.
+	function scrollSpeed() {
+		var level = levels[levelDirector.getLevelNo() - 1];
+		var levelSpeed = level.scrollSpeed === undefined ? 1 : level.scrollSpeed;
+		return levelSpeed * SCROLL_FACTORS[levelDirector.getState()];
+	}
+	
+	function isPlayerInvulnerable(player) {
+		return gameClock.getElapsedMillis() < player.invulnerableUntil;
+	}
+	
+	function renderPlayer(player, framesElapsed, curFrameNo) {
+		var s = player.sprite;
+		s.update(framesElapsed);
+		// While the player can't be hurt we make them blink by only
+		// drawing them every other few frames.
+		if ( !isPlayerInvulnerable(player) || Math.floor(curFrameNo/BLINK_FRAMES) % 2 === 0 ) {
+			s.render(drawCtx, canvasWidth, canvasHeight);
+			// In co-op each gunship has a label over it so the players can tell them apart.
+			if ( NUM_PLAYERS > 1 && !s.isDone() ) {
+				drawCtx.save();
+				drawCtx.fillStyle = PLAYER_COLOURS[player.number - 1];
+				drawCtx.font = "bold 10px 'Courier New', monospace";
+				drawCtx.textAlign = "center";
+				drawCtx.textBaseline = "bottom";
+				drawCtx.fillText("P" + player.number, s.getLeft() + playerWidth/2, s.getTop());
+				drawCtx.restore();
+			}
 		}
-		return newEnemies;
 	}
 	
-	// This function is used to detect overlaps between sprites. Returns true if the sprites overlap and false
-	// otherwise.
-	function overlap( s1, s2 ) {
-		// For simplicity we calculate the lines surrounding each of the sprites.
-		var s1_lines = { top : s1.getPosition().top, bottom: s1.getPosition().top+s1.getSize().h,
-		                 left: s1.getPosition().left, right: s1.getPosition().left + s1.getSize().w };
-		var s2_lines = { top : s2.getPosition().top, bottom: s2.getPosition().top+s2.getSize().h,
-		                 left: s2.getPosition().left, right: s2.getPosition().left + s2.getSize().w };
+	// See if the player has flown into an enemy, an enemy's bullet or a power-up.
+	function checkPlayerCollisions(player, curFrameNo) {
+		var s = player.sprite;
+		if ( !s.isDone() && !invincible && !isPlayerInvulnerable(player) &&
+			 collisionDetector.findFirst(s, enemies) ) {
+			playerHit(player, curFrameNo);
+		}
 		
-
-		// Check top left & right corners of s1 against 4 sides of s2
-		return	((s1_lines.top >= s2_lines.top && s1_lines.top <= s2_lines.bottom &&
-			  ((s1_lines.left >= s2_lines.left && s1_lines.left <= s2_lines.right) ||
-			   (s1_lines.right >= s2_lines.left && s1_lines.right <= s2_lines.right))) ||
-			// Check bottom left & rihgt corners of s1 against 4 sides of s2
-			(s1_lines.bottom >= s2_lines.top && s1_lines.bottom <= s2_lines.bottom && 
-			  ((s1_lines.left >= s2_lines.left && s1_lines.left <= s2_lines.right) ||
-			   (s1_lines.right >= s2_lines.left && s1_lines.right <= s2_lines.right))));
+		if ( !s.isDone() ) {
+			var powerUp = collisionDetector.findFirst(s, powerUps);
+			if ( powerUp ) {
+				powerUp.setDone(true);
+				player.weapon.powerUp(powerUp.getWeaponType());
+				notifyWeaponChangedListeners(player);
+			}
+		}
+		
+		if ( !s.isDone() && !invincible && !isPlayerInvulnerable(player) ) {
+			var enemyBullet = collisionDetector.findFirst(s, enemyBullets);
+			if ( enemyBullet ) {
+				enemyBullet.setDone(true);
+				playerHit(player, curFrameNo);
+			}
+		}
+	}
+	
+	// The player has been hit. Take away a hit point and if they have none
+	// left they lose a life. When all their lives are gone they're out of the
+	// game, and once every player is out the game is over.
+	function playerHit(player, curFrameNo) {
+		resetCombo();
+		player.hitPoints--;
+		notifyHealthChangedListeners(player);
+		if ( player.hitPoints > 0 ) {
+			player.sprite.flash("red", DAMAGE_FLASH_FRAMES);
+			player.invulnerableUntil = gameClock.getElapsedMillis() + HIT_INVULNERABLE_MS;
+			return;
+		}
+		explosions.push(createExplosionAt(player.sprite.getTop(), player.sprite.getLeft()));
+		playSound(SOUNDS.death);
+		player.lives--;
+		notifyLifeLostListeners(player);
+		if ( player.lives > 0 ) {
+			respawnPlayer(player);
+		} else {
+			player.sprite.setDone(true);
+			if ( !isAnyPlayerFlying() ) {
+				if ( audioManager ) {
+					audioManager.stopMusic();
+				}
+				recording.recordDeath(curFrameNo);
+				notifyPlayerDestroyedListeners();
+			}
+		}
+	}
+	
+	// Put a new player back at the start position and give them a few
+	// seconds to get out of trouble.
+	function respawnPlayer(player) {
+		player.sprite = createPlayerSprite(player);
+		player.hitPoints = MAX_HIT_POINTS;
+		notifyHealthChangedListeners(player);
+		// Losing a life also loses any weapon upgrades.
+		player.weapon.reset();
+		notifyWeaponChangedListeners(player);
+		player.invulnerableUntil = gameClock.getElapsedMillis() + RESPAWN_INVULNERABLE_MS;
+	}
+	
+	// Asks the level director which enemies should appear now and adds them to the enemies array.
+	function addEnemies() {
+		// Enemies destroyed last frame are still in the array until they're next rendered.
+		var enemiesAlive = 0;
+		for ( var ix = 0; ix < enemies.length; ix++ ) {
+			if ( !enemies[ix].isDone() ) {
+				enemiesAlive++;
+			}
+		}
+		var spawns = levelDirector.update(gameClock.getElapsedMillis(), enemiesAlive,
+			Math.max(0, MAX_ENEMIES - enemiesAlive));
+		for ( ix = 0; ix < spawns.length; ix++ ) {
+			enemies.push(createEnemySprite(spawns[ix].type, spawns[ix].top));
+		}
+	}
+	
+	// Called by the collision detector for each bullet that hits an enemy.
+	function bulletHitEnemy(bullet, nme) {
+		if ( bullet.isPiercing() ) {
+			// Piercing bullets carry on, but only damage each enemy once.
+			if ( bullet.hasHit(nme) ) {
+				return;
+			}
+		} else {
+			bullet.setDone(true);
+		}
+		bullet.getVolley().hit = true;
+		// Tougher enemies take more than one hit to destroy.
+		if ( nme.hit(bullet.getDamage()) ) {
+			nme.setDone(true);
+			// A beam starts back at the gunship, so the explosion goes where it meets the enemy.
+			explosions.push(createExplosionAt(bullet.getTop(), bullet.isBeam() ? nme.getLeft() : bullet.getLeft()));
+			enemyDestroyed(nme, bullet, gameClock.getFrameNo());
+			dropPowerUp(nme);
+		} else {
+			nme.flash("white", DAMAGE_FLASH_FRAMES);
+		}
+	}
+	
+	// An enemy has been destroyed, so add to the combo and award the points.
+	function enemyDestroyed(nme, bullet, curFrameNo) {
+		var now = gameClock.getElapsedMillis();
+		combo = combo > 0 && now - lastKillTime <= COMBO_WINDOW_MS ? combo + 1 : 1;
+		lastKillTime = now;
+		var multiplier = getMultiplier();
+		var basePoints = nme.getEnemyType().score;
+		var pos = nme.getPosition(), size = nme.getSize();
+		var centre = { top: pos.top + size.h/2, left: pos.left + size.w/2 };
+		notifyScoreUpdate({
+			score: basePoints*multiplier,
+			basePoints: basePoints,
+			multiplier: multiplier,
+			combo: combo,
+			enemyType: nme.getEnemyTypeName(),
+			position: centre,
+			cause: bullet.getCause(),
+			player: bullet.getPlayer().number,
+			frame: curFrameNo
+		});
+		particles.burst(particleEffects.debris, centre.top, centre.left);
+		notifyComboListeners();
+		scorePopups.push(new TextSprite("+" + basePoints + (multiplier > 1 ? " x" + multiplier : ""),
+			centre.top, centre.left, multiplier > 1 ? "yellow" : "white"));
+	}
+	
+	function getMultiplier() {
+		return Math.max(1, Math.min(combo, MAX_MULTIPLIER));
+	}
+	
+	function resetCombo() {
+		if ( combo > 0 ) {
+			combo = 0;
+			notifyComboListeners();
+		}
+	}
+	
+	// Called when a bullet is removed from the game. If none of the bullets
+	// from the same shot hit anything then the player missed and loses their combo.
+	function bulletRemoved(bullet) {
+		var volley = bullet.getVolley();
+		volley.bulletsLeft--;
+		if ( volley.bulletsLeft === 0 && !volley.hit ) {
+			resetCombo();
+		}
 	}
 	
 	// For each set of sprites that we need to render we 
-	function renderSprites(spriteArray, framesElapsed) {
+	// update them, draw them and remove them once they're done. If we're given
+	// an onRemoved function it is called with each sprite that is removed.
+	function renderSprites(spriteArray, framesElapsed, onRemoved) {
+		// Rather than splice each finished sprite out of the array, which moves
+		// everything after it along every time, we move the sprites we're keeping
+		// down to the front of the array and then cut off what's left at the end.
+		var kept = 0;
 		for( var ix = 0; ix < spriteArray.length; ix++ ) {
 			var s = spriteArray[ix];
 			s.update(framesElapsed);
-			s.render(drawCtx);
+			s.render(drawCtx, canvasWidth, canvasHeight);
 			// Now we test to see if the sprite is still visible and if not
-			// we remove from the array so we no longer have to manage it.
+			// we remove it from the array so we no longer have to manage it.
 			if ( s.isDone() ) {
-				// Note post-decrement of ix - returns the current value of ix to the 
-				// splice method call and then decrements ix
-				spriteArray.splice(ix--,1);	
-				// If we didn't decrement ix, then it would skip evaluation of the next 
-				// element of the sprites array.
+				if ( onRemoved ) {
+					onRemoved(s);
+				}
+				// Sprites from a pool go back to it so that they can be used again.
+				if ( s.releaseToPool ) {
+					s.releaseToPool();
+				}
+			} else {
+				spriteArray[kept++] = s;
+			}
+		}
+		spriteArray.length = kept;
+	}
+	
+	// Empty an array of sprites, giving any that came from a pool back to it.
+	function releaseAll(spriteArray) {
+		for ( var ix = 0; ix < spriteArray.length; ix++ ) {
+			if ( spriteArray[ix].releaseToPool ) {
+				spriteArray[ix].releaseToPool();
 			}
 		}
+		spriteArray.length = 0;
 	}
 	
-	function checkPlayerActions(framesElapsed) {
-		var currentPlayerPos = playerSprite.getPosition();
-		if ( keyStatusMap["LEFT"] ) {
-			playerSprite.setPosition(currentPlayerPos.top,
+	// Show how many sprites we have and how well the pools are working on the profiler's overlay.
+	function addProfilerCounters() {
+		addProfilerCounter("Enemies", function() { return enemies.length; });
+		addProfilerCounter("Bullets", function() { return bullets.length + enemyBullets.length; });
+		addProfilerCounter("Explosions", function() { return explosions.length; });
+		addProfilerCounter("Particles", function() { return particles.getCount(); });
+		addProfilerCounter("Pooled sprites", function() {
+			var created = 0, free = 0;
+			for ( var ix = 0; ix < allPools.length; ix++ ) {
+				created += allPools[ix].getCreatedCount();
+				free += allPools[ix].getFreeCount();
+			}
+			return created + " (" + free + " free)";
+		});
+	}
+	
+	function addProfilerCounter(name, getValue) {
+		profilerCounters.push(profiler.addCounter(name, getValue));
+	}
+	
+	// What the DebugOverlay can see of the game and the commands its console can
+	// use. The commands aren't recorded, so a recording of a game where they were
+	// used won't play back the same.
+	function createDebugHooks() {
+		return {
+			getCounts: function() {
+				return { enemies: enemies.length, bullets: bullets.length, enemyBullets: enemyBullets.length,
+						 explosions: explosions.length, particles: particles.getCount() };
+			},
+			// Returns { levelNo, state, maxEnemies } of the level director that decides which enemies to add
+			getLevel: function() {
+				return { levelNo: levelDirector.getLevelNo(), state: levelDirector.getState(), maxEnemies: MAX_ENEMIES };
+			},
+			// Calls fn(sprite) for each sprite that can hit something.
+			forEachSprite: function(fn) {
+				players.forEach(function(player) {
+					fn(player.sprite);
+				});
+				[ enemies, bullets, enemyBullets, powerUps ].forEach(function(spriteArray) {
+					spriteArray.forEach(fn);
+				});
+			},
+			setInvincible: function(status) {
+				invincible = status;
+				recordDebugCommand(status ? "god" : "god off");
+			},
+			isInvincible: function() {
+				return invincible;
+			},
+			getEnemyTypeNames: function() {
+				return Object.keys(enemyTypes);
+			},
+			// Add an enemy of the named type, centred on the given distance from
+			// the top or the middle of the canvas if it isn't a number. Returns
+			// false if there's no such type.
+			spawnEnemy: function(typeName, centreTop) {
+				if ( !enemyTypes.hasOwnProperty(typeName) ) {
+					return false;
+				}
+				// An enemy with no position would never be drawn or leave the canvas,
+				// and the level couldn't end until it was destroyed.
+				centreTop = isFinite(centreTop) ? Math.max(0, Math.min(centreTop, canvasHeight)) : canvasHeight/2;
+				enemies.push(createEnemySprite(typeName, centreTop));
+				recordDebugCommand("spawn " + typeName);
+				return true;
+			},
+			skipLevel: function() {
+				levelDirector.skipLevel(gameClock.getElapsedMillis());
+				recordDebugCommand("skip");
+			},
+			setTimeScale: gameClock.setTimeScale,
+			getTimeScale: gameClock.getTimeScale,
+			// Stop the game and move it on a few frames. This isn't the same as
+			// pausing, which would cover the frames with the paused screen.
+			step: function(numFrames) {
+				if ( paused ) {
+					paused = false;
+					notifyPauseListeners();
+				}
+				gameClock.stop();
+				if ( audioManager ) {
+					audioManager.pauseMusic();
+				}
+				gameClock.step(numFrames);
+			},
+			resume: function() {
+				if ( paused ) {
+					self.resume();
+				} else if ( !gameClock.isRunning() ) {
+					gameClock.start();
+					if ( audioManager ) {
+						audioManager.resumeMusic();
+					}
+				}
+			}
+		};
+	}
+	
+	// Mark the recording as changed by the debug console, so that playing it
+	// back doesn't just report that it differs.
+	function recordDebugCommand(command) {
+		recording.recordDebugCommand(gameClock.getFrameNo(), command);
+	}
+	
+	function checkPlayerActions(player, framesElapsed) {
+		var playerSprite = player.sprite, actions = player.actions;
+		var currentTop = playerSprite.getTop(),
+			currentLeft = playerSprite.getLeft();
+		if ( keyStatusMap[actions.LEFT] ) {
+			playerSprite.setPosition(currentTop,
 				Math.max(0,
-					currentPlayerPos.left-(MOVE_PIXELS*framesElapsed)));
+					currentLeft-(MOVE_PIXELS*framesElapsed)));
 		}
-		if ( keyStatusMap["RIGHT"] ) {
-			playerSprite.setPosition(currentPlayerPos.top,
+		if ( keyStatusMap[actions.RIGHT] ) {
+			playerSprite.setPosition(currentTop,
 				Math.min(
 					canvasWidth-playerWidth,
-					currentPlayerPos.left+(MOVE_PIXELS*framesElapsed)));
+					currentLeft+(MOVE_PIXELS*framesElapsed)));
 		}
-		if ( keyStatusMap["UP"] ) {
+		if ( keyStatusMap[actions.UP] ) {
 			playerSprite.setPosition(
-				Math.max(0,currentPlayerPos.top-(MOVE_PIXELS*framesElapsed)),
-				currentPlayerPos.left);
+				Math.max(0,currentTop-(MOVE_PIXELS*framesElapsed)),
+				currentLeft);
 		}
-		if ( keyStatusMap["DOWN"] ) {
+		if ( keyStatusMap[actions.DOWN] ) {
 			playerSprite.setPosition(
 				Math.min(canvasHeight-playerHeight,
-					currentPlayerPos.top+(MOVE_PIXELS*framesElapsed)),
-				currentPlayerPos.left);
+					currentTop+(MOVE_PIXELS*framesElapsed)),
+				currentLeft);
 		}
 
-		if ( keyStatusMap["SPACE"] && checkKeyHitDelay("SPACE", KEY_REPEAT_DELAY)) {
+		var settings = player.weapon.getSettings();
+		if ( settings.beam ) {
+			// The laser's beam stays on for as long as FIRE is held down.
+			if ( keyStatusMap[actions.FIRE] ) {
+				fireBeam(player, settings);
+			}
+		} else if ( keyStatusMap[actions.FIRE] && checkKeyHitDelay(actions.FIRE, settings.fireDelay)) {
 			// Create the bullet sprites.
-			bullets = bullets.concat(createBulletSprites());
+			addBulletSprites(player);
 		}
 	}
 
     // This function returns a value of true or false depending on whether the required period has elapsed since the last time
     // a keypress was recognised.
     function checkKeyHitDelay(keyName, delay) {
-        // See if we have recorded a hit time for this key already - if not then set the hist time as zero.
-        var lastHit = keyHitTime[keyName] ? keyHitTime[keyName] : 0;
-        // What time is it now,
-        var curTime = Date.now();
+        // See if we have recorded a hit time for this key already - if not then the key has never been hit.
+        var lastHit = keyName in keyHitTime ? keyHitTime[keyName] : -Infinity;
+        // What time is it now in game time,
+        var curTime = gameClock.getElapsedMillis();
         // Does the elapsed time exceed the required delay time.
         if ( curTime-lastHit >= delay ) {
             // If it does then update the key hit time ...
@@ -259,45 +1168,366 @@ function GameEngine(gameCanvas, imageCache) {
         return false;
     }
 	
-	function createEnemySprite() {
-		var s = new AutoSprite(-1.66,'horizontal',imageCache.get('images/sprites.png'),0,78,80,39,10,[0,1,2,3,2,1],'horizontal');
+	// Let each enemy that has a weapon and is ready to shoot fire at the player.
+	function fireEnemyWeapons() {
+		var now = gameClock.getElapsedMillis();
+		for ( var ix = 0; ix < enemies.length; ix++ ) {
+			var nme = enemies[ix];
+			var weapon = nme.getEnemyType().weapon;
+			// Enemies only shoot once they are fully on the canvas.
+			if ( weapon && !nme.isDone() && nme.getLeft() < canvasWidth - nme.getWidth() &&
+				 nme.readyToFire(now) ) {
+				addEnemyBullets(nme, weapon);
+			}
+		}
+	}
+	
+	// Create the bullets for one shot of an enemy's weapon and add them to enemyBullets.
+	function addEnemyBullets(nme, weapon) {
+		// The bullets come out of the front (left side) of the enemy
+		var startTop = nme.getTop() + nme.getHeight()/2,
+			startLeft = nme.getLeft();
+		// Work out the angle to fire at. Straight ahead is towards the left of the canvas.
+		var angle = Math.PI;
+		if ( weapon.pattern === "aimed" || weapon.pattern === "spread" ) {
+			var target = movementContext.getTargetPosition(startTop, startLeft);
+			angle = Math.atan2(target.top - startTop, target.left - startLeft);
+		}
+		var count = weapon.pattern === "spread" ? weapon.count : 1;
+		var spread = weapon.pattern === "spread" ? weapon.spreadAngle*Math.PI/180 : 0;
+		for ( var ix = 0; ix < count; ix++ ) {
+			// Fan the bullets out evenly either side of the angle we're aiming at
+			var shotAngle = angle + (ix - (count-1)/2)*spread;
+			enemyBullets.push(createEnemyBulletSprite(startTop, startLeft,
+				Math.cos(shotAngle)*weapon.speed, Math.sin(shotAngle)*weapon.speed));
+		}
+	}
+	
+	function createEnemyBulletSprite(top, left, dx, dy) {
+		var s = enemyBulletPool.acquire();
+		s.setPosition(top - s.getHeight()/2, left - s.getWidth()/2);
+		s.setVelocity(dx, dy);
+		return s;
+	}
+	
+	// Create an enemy of the named type from enemyTypes, centred at the given distance from the top of the canvas.
+	function createEnemySprite(typeName, centreTop) {
+		var enemyType = enemyTypes[typeName];
+		var s = getPool(enemyPools, enemyType.animation, createPooledEnemy).acquire();
 		var left = canvasWidth - 5;   // Left most part of sprite is 5px from RHS
-		var top = Math.min(Math.random()*canvasHeight, 
-								canvasHeight - s.getSize().h);
+		var top = Math.max(0, Math.min(centreTop - s.getHeight()/2,
+								canvasHeight - s.getHeight()));
 		s.setPosition(top,left);
+		s.setMovement(MovementPatterns[enemyType.movement.pattern](enemyType.movement, movementContext));
+		if ( enemyType.faceVelocity ) {
+			// Our enemies' images point to the left
+			s.setFaceVelocity(Math.PI);
+		}
+		// Stagger the first shot so that enemies don't all fire together
+		var firstShotTime = enemyType.weapon ?
+			gameClock.getElapsedMillis() + random.next()*enemyType.weapon.cooldown : 0;
+		s.spawn(typeName, ++enemiesSpawned, firstShotTime);
+		return s;
+	}
+	
+	// The pooled sprites have their methods added once, when they're created.
+	// Each time one is taken from its pool it is set up for its new job with
+	// spawn (enemies), fire (bullets) or setVelocity, and release resets it.
+	function createPooledEnemy(animation) {
+		var s = spriteAtlas.createAutoSprite(animation, 0, 'horizontal');
+		var typeName = null, enemyType = null;
+		var hitPoints = 0, nextShotTime = 0, spawnNo = 0;
+        s['spawn'] = function(newTypeName, newSpawnNo, firstShotTime) {
+            typeName = newTypeName;
+            enemyType = enemyTypes[typeName];
+            hitPoints = enemyType.hitPoints;
+            nextShotTime = firstShotTime;
+            spawnNo = newSpawnNo;
+        };
         s['getType'] = function() {return "ENEMY";};
+        s['getEnemyType'] = function() {return enemyType;};
+        s['getEnemyTypeName'] = function() {return typeName;};
+        s['getSpawnNo'] = function() {return spawnNo;};
+        // Returns true if the enemy's weapon has cooled down enough to fire again.
+        s['readyToFire'] = function(now) {
+            if ( now >= nextShotTime ) {
+                nextShotTime = now + enemyType.weapon.cooldown;
+                return true;
+            }
+            return false;
+        };
+        // Take damage away from the enemy's hit points and return true if it has been destroyed.
+        s['hit'] = function(damage) {
+            hitPoints -= damage;
+            return hitPoints <= 0;
+        };
+		return s;
+	}
+	
+	function createPooledEnemyBullet() {
+		var s = spriteAtlas.createAutoSprite(ENEMY_BULLET_ANIMATION, 0, 'horizontal');
+		addSetVelocity(s);
+        s['getType'] = function() {return "ENEMY_BULLET";};
+		return s;
+	}
+	
+	function createPooledBullet(animation) {
+		var s = spriteAtlas.createAutoSprite(animation, 0, 'horizontal');
+		var shot = null, damage = 0, volley = null, cause = null, player = null;
+		addSetVelocity(s);
+		addHasHit(s);
+        s['fire'] = function(newShot, newDamage, newVolley, newCause, newPlayer) {
+            shot = newShot;
+            damage = newDamage;
+            volley = newVolley;
+            cause = newCause;
+            player = newPlayer;
+            s.forgetHits();
+        };
+        s['getType'] = function() {return "BULLET";};
+        s['getDamage'] = function() {return damage;};
+        s['getVolley'] = function() {return volley;};
+        s['getCause'] = function() {return cause;};
+        s['getPlayer'] = function() {return player;};
+        s['isPiercing'] = function() {return !!shot.piercing;};
+        s['isBeam'] = function() {return false;};
 		return s;
 	}
 	
-	function createPlayerSprite() {
-		var s = new Sprite(imageCache.get('images/sprites.png'),5,0,39,25,10,[0,1]);
-		var top = Math.floor((canvasHeight - 39)/2);
+	// The laser's beam is used like a bullet that never stops piercing. Every time
+	// it pulses it forgets the enemies it's hit so that it can damage them again.
+	function createBeamSprite(player, settings, volley) {
+		var s = new BeamSprite(settings.beam.thickness, settings.beam.colour, canvasWidth);
+		var cause = player.weapon.getTypeName();
+		addHasHit(s);
+        s['pulse'] = function() {
+            s.forgetHits();
+        };
+        s['getType'] = function() {return "BULLET";};
+        s['getSettings'] = function() {return settings;};
+        s['getDamage'] = function() {return settings.damage;};
+        s['getVolley'] = function() {return volley;};
+        s['getCause'] = function() {return cause;};
+        s['getPlayer'] = function() {return player;};
+        s['isPiercing'] = function() {return true;};
+        s['isBeam'] = function() {return true;};
+		return s;
+	}
+	
+	// Piercing bullets and beams remember the spawn numbers of the enemies
+	// they've hit so they only damage each one once.
+	function addHasHit(s) {
+		var enemiesHit = [];
+        s['hasHit'] = function(nme) {
+            if ( enemiesHit.indexOf(nme.getSpawnNo()) >= 0 ) {
+                return true;
+            }
+            enemiesHit.push(nme.getSpawnNo());
+            return false;
+        };
+        s['forgetHits'] = function() {
+            enemiesHit.length = 0;
+        };
+	}
+	
+	function createPooledExplosion() {
+		return spriteAtlas.createSprite("explosion");
+	}
+	
+	// Most bullets fly in a straight line, so rather than create a new movement
+	// for each one the sprite keeps one and we just change its speed.
+	function addSetVelocity(s) {
+		var velocity = { dx: 0, dy: 0 };
+		var move = MovementPatterns.velocity(velocity, movementContext);
+        s['setVelocity'] = function(dx, dy) {
+            velocity.dx = dx;
+            velocity.dy = dy;
+            s.setMovement(move);
+        };
+	}
+	
+	// Create a pool whose sprites know how to put themselves back in it.
+	function createPool(createSprite, animation) {
+		var pool = new SpritePool(function() {
+			var s = createSprite(animation);
+            s['releaseToPool'] = function() {
+                pool.release(s);
+            };
+			return s;
+		});
+		return pool;
+	}
+	
+	// Returns the pool for the animation, creating it the first time it's needed.
+	function getPool(pools, animation, createSprite) {
+		if ( !pools.hasOwnProperty(animation) ) {
+			pools[animation] = createPool(createSprite, animation);
+			allPools.push(pools[animation]);
+		}
+		return pools[animation];
+	}
+	
+	// The players start on the left, spread out evenly down the canvas.
+	function createPlayerSprite(player) {
+		var s = spriteAtlas.createSprite("player");
+		var top = Math.floor((canvasHeight - 39)/2) +
+			Math.round(canvasHeight*(player.number/(NUM_PLAYERS + 1) - 0.5));
 		s.setPosition(top,0);
         s['getType'] = function() {return "PLAYER";};
 		return s;
 	}
 	
-	function createBulletSprites() {
-		var spos = playerSprite.getPosition();
-		var ssize = playerSprite.getSize();
-		
-		var forward = new AutoSprite(BULLET_SPEED, 'horizontal', imageCache.get('images/sprites.png'),0,39,17,7,0,[0],null,false);
-		forward.setPosition( spos.top + (ssize.h/2) - (forward.getSize().h/2),
-							 spos.left + ssize.w);
-
-        var down = new AutoSprite(BULLET_SPEED,'vertical',imageCache.get('images/sprites.png'),0,60,9,5,0,[0],null,false);
-        down.setPosition(spos.top+ssize.h, spos.left + (ssize.w/2) - (down.getSize().w/2) );
-		var up = new AutoSprite(-BULLET_SPEED,'vertical',imageCache.get('images/sprites.png'),0,50,9,5,0,[0],null,false);
-        up.setPosition( spos.top, spos.left + (ssize.w/2) - (up.getSize().w/2) );
-
-        forward['getType'] = up['getType'] = down['getType'] = function() {return "BULLET";};
-
-		return [forward,up,down];
+	// Create the bullets for one shot of the player's weapon and add them to bullets.
+	function addBulletSprites(player) {
+		var weapon = player.weapon;
+		var settings = weapon.getSettings();
+		playSound(SOUNDS.fire);
+		// All the bullets from one shot share a volley so that we can tell if the whole shot missed.
+		var volley = { bulletsLeft: settings.shots.length, hit: false };
+		var cause = weapon.getTypeName();
+		for ( var ix = 0; ix < settings.shots.length; ix++ ) {
+			bullets.push(createBulletSprite(player, settings.shots[ix], settings.damage, volley, cause));
+		}
+	}
+	
+	// Turn the player's laser beam on, or keep it on, lined up with the front
+	// of the gunship. It damages what it touches every fireDelay milliseconds.
+	function fireBeam(player, settings) {
+		var beam = player.beam;
+		if ( !beam || beam.isDone() || beam.getSettings() !== settings ) {
+			// The beam gets thicker when the laser is upgraded, which needs a new
+			// one. It carries on the old beam's volley so the combo isn't lost.
+			var volley = { bulletsLeft: 0, hit: false };
+			if ( beam && !beam.isDone() ) {
+				volley = beam.getVolley();
+				beam.setDone(true);
+			}
+			volley.bulletsLeft++;
+			beam = player.beam = createBeamSprite(player, settings, volley);
+			bullets.push(beam);
+		}
+		beam.hold();
+		beam.setPosition(player.sprite.getTop() + (playerHeight/2) - (settings.beam.thickness/2),
+			player.sprite.getLeft() + playerWidth);
+		if ( checkKeyHitDelay(player.actions.FIRE, settings.fireDelay) ) {
+			playSound(SOUNDS.fire);
+			beam.pulse();
+		}
+	}
+	
+	function createBulletSprite(player, shot, damage, volley, cause) {
+		var playerTop = player.sprite.getTop(), playerLeft = player.sprite.getLeft();
+		var angle = shot.angle*Math.PI/180;
+		var s, top, left;
+		// Bullets going mostly forwards come out of the front of the gunship and
+		// those going mostly up or down come out of the top or bottom.
+		if ( Math.abs(shot.angle) <= 45 ) {
+			s = getPool(bulletPools, "bulletForward", createPooledBullet).acquire();
+			s.setRotation(angle);
+			top = playerTop + (playerHeight/2) - (s.getHeight()/2);
+			left = playerLeft + playerWidth;
+		} else if ( shot.angle < 0 ) {
+			s = getPool(bulletPools, "bulletUp", createPooledBullet).acquire();
+			top = playerTop;
+			left = playerLeft + (playerWidth/2) - (s.getWidth()/2);
+		} else {
+			s = getPool(bulletPools, "bulletDown", createPooledBullet).acquire();
+			top = playerTop + playerHeight;
+			left = playerLeft + (playerWidth/2) - (s.getWidth()/2);
+		}
+		s.setPosition(top + (shot.offset || 0), left);
+		if ( shot.homing ) {
+			s.setMovement(MovementPatterns.seekEnemy({ speed: shot.speed, angle: angle, turnRate: 0.08,
+				lifeFrames: HOMING_LIFE_FRAMES }, movementContext));
+			s.setFaceVelocity(0);
+		} else {
+			s.setVelocity(Math.cos(angle)*shot.speed, Math.sin(angle)*shot.speed);
+		}
+		s.fire(shot, damage, volley, cause, player);
+		return s;
+	}
+	
+	// Returns the centre of the enemy nearest to the position given, or null if there are no enemies.
+	// The same object is returned each time, so it's only good until we're next called.
+	function findNearestEnemy(position) {
+		var nearest = null, nearestDistance = Infinity;
+		for ( var ix = 0; ix < enemies.length; ix++ ) {
+			var nme = enemies[ix];
+			if ( !nme.isDone() ) {
+				var centreTop = nme.getTop() + nme.getHeight()/2,
+					centreLeft = nme.getLeft() + nme.getWidth()/2;
+				var distance = Math.pow(centreTop - position.top, 2) + Math.pow(centreLeft - position.left, 2);
+				if ( distance < nearestDistance ) {
+					nearest = nearestEnemyCentre;
+					nearest.top = centreTop;
+					nearest.left = centreLeft;
+					nearestDistance = distance;
+				}
+			}
+		}
+		return nearest;
+	}
+	
+	// Sometimes a destroyed enemy leaves behind a power-up for a randomly chosen weapon.
+	function dropPowerUp(nme) {
+		if ( random.next() < POWER_UP_DROP_CHANCE ) {
+			var names = Object.keys(weaponTypes);
+			var totalWeight = names.reduce(function(total, name) {
+				return total + weaponTypes[name].dropWeight;
+			}, 0);
+			var pick = random.next()*totalWeight;
+			var ix = 0;
+			while ( ix < names.length - 1 && (pick -= weaponTypes[names[ix]].dropWeight) >= 0 ) {
+				ix++;
+			}
+			var pos = nme.getPosition(), size = nme.getSize();
+			powerUps.push(createPowerUpSprite(ix, names[ix],
+				pos.top + size.h/2 - POWER_UP_SIZE/2, pos.left + size.w/2 - POWER_UP_SIZE/2));
+		}
+	}
+	
+	// Power-ups drift slowly to the left so the player has to go and get them.
+	function createPowerUpSprite(imageIdx, weaponTypeName, top, left) {
+		var s = new AutoSprite(-1,'horizontal',powerUpImage,imageIdx*POWER_UP_SIZE,0,POWER_UP_SIZE,POWER_UP_SIZE,0,[0],null,false);
+		s.setPosition(top, left);
+        s['getType'] = function() {return "POWER_UP";};
+        s['getWeaponType'] = function() {return weaponTypeName;};
+		return s;
+	}
+	
+	// We don't have pictures for our power-ups in sprites.png so we draw them
+	// onto a canvas of their own: a coloured circle with the weapon's letter
+	// in it for each weapon type. A canvas can be used as a sprite map just like an image.
+	function createPowerUpImage() {
+		var names = Object.keys(weaponTypes);
+		var canvas = document.createElement("canvas");
+		canvas.width = POWER_UP_SIZE*names.length;
+		canvas.height = POWER_UP_SIZE;
+		var ctx = canvas.getContext("2d");
+		ctx.font = "bold 14px 'Courier New', monospace";
+		ctx.textAlign = "center";
+		ctx.textBaseline = "middle";
+		names.forEach(function(name, ix) {
+			var centre = ix*POWER_UP_SIZE + POWER_UP_SIZE/2;
+			ctx.beginPath();
+			ctx.arc(centre, POWER_UP_SIZE/2, POWER_UP_SIZE/2 - 1, 0, 2*Math.PI);
+			ctx.fillStyle = weaponTypes[name].colour;
+			ctx.fill();
+			ctx.strokeStyle = "white";
+			ctx.stroke();
+			ctx.fillStyle = "white";
+			ctx.fillText(weaponTypes[name].letter, centre, POWER_UP_SIZE/2);
+		});
+		return canvas;
 	}
 	
 	function createExplosionAt( top, left ) {
-		var boom = new Sprite(imageCache.get("images/sprites.png"),116,0,39,39,4,[0,1,2,3,4,5,6,7,8,9,10,11],'horizontal',true);
+		var boom = explosionPool.acquire();
 		boom.setPosition(top,left);
+		// The explosion grows and fades away as it plays.
+		boom.animate("scale", EXPLOSION_SCALE, EXPLOSION_FRAMES);
+		boom.animate("alpha", 0, EXPLOSION_FRAMES);
+		playSound(SOUNDS.explosion);
 		return boom;
 	}
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Math.random() gives us a different sequence of numbers every time we play
+// which means that we can never play exactly the same game twice. This class
+// gives us a sequence of random numbers that is determined entirely by the
+// seed that we start it with. Two GameRandoms created with the same seed
+// will always produce the same numbers in the same order.
+// Parameters:
+//	seed - a whole number to start the sequence with. If not provided we pick one.
+function GameRandom(seed) {
+	var initialSeed = 0;
+	var state = 0;
+
+	// Returns a number between 0 (inclusive) and 1 (exclusive) just like Math.random().
+	// This uses the "mulberry32" algorithm which mixes up the bits of
+	// our state each time it is called.
+	this.next = function() {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+
+	// Returns a number between min (inclusive) and max (exclusive)
+	this.between = function(min, max) {
+		return min + this.next()*(max - min);
+	};
+
+	this.getSeed = function() {
+		return initialSeed;
+	};
+
+	// Start the sequence again from the beginning.
+	this.reset = function() {
+		state = initialSeed;
+	};
+
+	// Start a new sequence from the given seed. If no seed is given we pick one.
+	this.setSeed = function(newSeed) {
+		initialSeed = newSeed === undefined ? Math.floor(Math.random()*4294967296) : newSeed >>> 0;
+		state = initialSeed;
+	};
+
+	this.setSeed(seed);
+}
@@ -0,0 +1,118 @@
+// A recording of a game. Because all of the randomness in our game comes
+// from a seeded GameRandom and the game clock counts frames, all we need to
+// play a game again is its seed and the key presses that happened, each
+// stamped with the frame number it happened on.
+// Parameters:
+//	seed - the seed that the recorded game was started with
+//	settings - the GameEngine options that change how the game plays, e.g. lives
+function GameRecording(seed, settings) {
+	var theSeed = seed;
+	var theSettings = settings || {};
+	// Each input is { frame: n, key: "LEFT", status: true } where key is the
+	// name of one of the InputManager's actions.
+	var inputs = [];
+	var deathFrame = -1;	// The frame the player was destroyed on, -1 if still alive
+	var endFrame = 0;		// The last frame that was recorded
+	var score = 0;			// The score at endFrame
+	// The debug console commands that changed the game, each { frame: n, command: "spawn" }.
+	// They aren't played back, so a game that used them won't play back the same.
+	var debugCommands = [];
+
+	this.getSeed = function() {
+		return theSeed;
+	};
+
+	this.getSettings = function() {
+		return theSettings;
+	};
+
+	// Called each time a key changes between pressed and released.
+	this.recordInput = function(frame, key, status) {
+		inputs.push({ frame: frame, key: key, status: status });
+	};
+
+	this.recordDeath = function(frame) {
+		deathFrame = frame;
+	};
+
+	this.recordDebugCommand = function(frame, command) {
+		debugCommands.push({ frame: frame, command: command });
+	};
+
+	this.usedDebugCommands = function() {
+		return debugCommands.length > 0;
+	};
+
+	this.getDebugCommands = function() {
+		return debugCommands.slice();
+	};
+
+	this.finish = function(frame, finalScore) {
+		endFrame = frame;
+		score = finalScore;
+	};
+
+	// Returns a copy of the inputs in the order they happened.
+	this.getInputs = function() {
+		return inputs.slice();
+	};
+
+	this.getDeathFrame = function() {
+		return deathFrame;
+	};
+
+	this.getEndFrame = function() {
+		return endFrame;
+	};
+
+	this.getScore = function() {
+		return score;
+	};
+
+	// JSON.stringify calls this to decide what to save.
+	this.toJSON = function() {
+		return {
+			version: GameRecording.VERSION,
+			seed: theSeed,
+			settings: theSettings,
+			deathFrame: deathFrame,
+			endFrame: endFrame,
+			score: score,
+			inputs: inputs.slice(),
+			debugCommands: debugCommands.slice()
+		};
+	};
+}
+
+// The version of the recording format that toJSON saves. Version 2 added the
+// players and sharedScore settings and the debug commands.
+GameRecording.VERSION = 2;
+
+// Rebuild a recording from what toJSON saved. json may be a string or an object.
+// Older versions are brought up to date, but newer ones can't be read.
+GameRecording.fromJSON = function(json) {
+	var data = typeof json === "string" ? JSON.parse(json) : json;
+	if ( !data || !(data.version >= 1) || !Array.isArray(data.inputs) ) {
+		throw new Error("Not a Gunship recording");
+	}
+	if ( data.version > GameRecording.VERSION ) {
+		throw new Error("The recording is from a newer version of Gunship");
+	}
+	var settings = data.settings;
+	if ( data.version < 2 ) {
+		// Version 1 recordings were all made by one player on their own.
+		settings = $.extend({ players: 1, sharedScore: true }, settings);
+	}
+	var recording = new GameRecording(data.seed, settings);
+	data.inputs.forEach(function(input) {
+		// Recordings made before the InputManager used the name of the key rather than the action.
+		var action = data.version < 2 && input.key === "SPACE" ? "FIRE" : input.key;
+		recording.recordInput(input.frame, action, input.status);
+	});
+	(data.debugCommands || []).forEach(function(debugCommand) {
+		recording.recordDebugCommand(debugCommand.frame, debugCommand.command);
+	});
+	recording.recordDeath(data.deathFrame);
+	recording.finish(data.endFrame, data.score);
+	return recording;
+};
@@ -1,20 +1,322 @@
 $(document).ready(function() {
 	var gameCanvas = $("#gameCanvas")[0];
 	var scoreDiv = $("#scoreDiv")[0];
-	var imageCache = new ImageCache();
+	// Fit the game to the window. The score bar and links underneath are kept
+	// the same width as the game.
+	var display = new CanvasScaler(gameCanvas, $("#gameArea")[0]);
+	display.addResizeListener(function(resizeEvent) {
+		$("#canvasTop, #canvasTop2, #controlsArea").css("width", resizeEvent.width + "px");
+	});
+	display.resize();
+	// Everything the game needs is loaded by the AssetLoader while we show a loading bar.
+	var assets = new AssetLoader(ASSET_MANIFEST);
+	var loadingBar = new LoadingBar(gameCanvas, display);
+	assets.addProgressListener(loadingBar.update);
+	assets.addErrorListener(loadingBar.addError);
+	// If something couldn't be loaded we leave the errors on screen for a
+	// few seconds before starting the game without it.
+	var ERROR_DISPLAY_MS = 3000;
+	// We create the InputManager here rather than letting the game do it so
+	// that the controls panel can change the key bindings.
+	var inputManager = new InputManager(gameCanvas, display);
+	var controlsPanel = new ControlsPanel(inputManager, $("#controlsPanel")[0]);
+	var audioManager = new AudioManager(assets.getAudioCache());
+	// Shows how long each frame takes, turned on and off with the Profiler link.
+	var profiler = new FrameProfiler();
+	// The debug overlay and console (press `) are for tuning the game. Production
+	// builds leave DebugOverlay.js out of the page and the game runs without them.
+	var debugOverlay = typeof DebugOverlay === "function" ? new DebugOverlay($("#gameDiv")[0]) : null;
 
+	var highScores = new HighScores(10);
 	var gameEngine;
-	imageCache.ready(function() {
-		var score = 0;
-		gameEngine = new GameEngine(gameCanvas, imageCache);
-		gameEngine.addScoreListener(function(scoreEvent) {
-			score += scoreEvent.score;
-			scoreDiv.innerHTML = score;
-		});
+	var gameFinished = false;	// So we only show the end of game screen once
+	// The scores waiting for initials to go in the high score table, as
+	// { playerNo, score, timeSurvived }. They're taken when the game finishes, as
+	// the game carries on behind the end of game screen. When two players keep
+	// their own scores each gets their own entry, otherwise the entry is the total.
+	var finalScores = [];
+	assets.ready(function() {
+		// We can manage without an image or a sound, but not without our sprites.
+		if ( !assets.getAtlas(SPRITE_ATLAS) ) {
+			loadingBar.addError({ url: SPRITE_ATLAS, message: "The game can't start without it" });
+			return;
+		}
+		setTimeout(startGame, assets.getErrors().length > 0 ? ERROR_DISPLAY_MS : 0);
+	});
+	
+	function startGame() {
+		// One or two players, chosen from the list under the game.
+		var mode = $("#playersSelect").val();
+		gameEngine = new GameEngine(gameCanvas, assets.getImageCache(), { lives: 3, hitPoints: 3, pixelCollisions: true,
+			inputManager: inputManager, audioManager: audioManager, spriteAtlas: assets.getAtlas(SPRITE_ATLAS),
+			display: display, profiler: profiler, debug: debugOverlay, players: mode === "1" ? 1 : 2, sharedScore: mode !== "2-separate" });
+		gameEngine.addScoreListener(showScores);
 		gameEngine.addPlayerDestroyedListener(function() {
-			$("#gameOver").fadeIn(500);
+			finishGame("Game Over");
+		});
+		gameEngine.addLevelStartedListener(function(levelEvent) {
+			$("#levelDiv").text(levelEvent.levelNo);
+			showBanner("Level " + levelEvent.levelNo + ": " + levelEvent.name);
+		});
+		gameEngine.addLevelCompletedListener(function(levelEvent) {
+			if ( levelEvent.lastLevel ) {
+				finishGame("You Win!");
+			} else {
+				showBanner("Level " + levelEvent.levelNo + " complete");
+			}
+		});
+		gameEngine.addLifeLostListener(function(lifeLostEvent) {
+			playerHud("livesDiv", lifeLostEvent.player).text(lifeLostEvent.lives);
+		});
+		gameEngine.addHealthChangedListener(function(healthEvent) {
+			showHealth(healthEvent.player, healthEvent.hitPoints, healthEvent.maxHitPoints);
+		});
+		gameEngine.addWeaponChangedListener(function(weaponEvent) {
+			playerHud("weaponDiv", weaponEvent.player).text(weaponEvent.name + " " + weaponEvent.level);
+		});
+		gameEngine.addComboListener(function(comboEvent) {
+			$("#multiplierDiv").text(comboEvent.multiplier > 1 ? "x" + comboEvent.multiplier : "");
+		});
+		gameEngine.addPauseListener(function(pauseEvent) {
+			$("#paused").toggle(pauseEvent.paused);
 		});
 		gameEngine.init();
+		showPlayers();
+	}
+	
+	// Show the end of game screen, asking for the player's initials if they
+	// got a high score.
+	function finishGame(title) {
+		if ( gameFinished ) {
+			return;
+		}
+		gameFinished = true;
+		var timeSurvived = gameEngine.getGameTime();
+		finalScores = [];
+		if ( gameEngine.getPlayerCount() > 1 && !gameEngine.isScoreShared() ) {
+			for ( var playerNo = 1; playerNo <= gameEngine.getPlayerCount(); playerNo++ ) {
+				finalScores.push({ playerNo: playerNo, score: gameEngine.getPlayerScore(playerNo), timeSurvived: timeSurvived });
+			}
+		} else {
+			finalScores.push({ playerNo: 0, score: gameEngine.getScore(), timeSurvived: timeSurvived });
+		}
+		$("#gameOverTitle").text(title);
+		askForInitials();
+		showHighScores(-1);
+		$("#gameOver").fadeIn(500, function() {
+			$("#initialsInput").focus();
+		});
+	}
+	
+	// Ask for the initials for the next score that's good enough for the table.
+	function askForInitials() {
+		while ( finalScores.length > 0 && !highScores.qualifies(finalScores[0].score) ) {
+			finalScores.shift();
+		}
+		if ( finalScores.length > 0 ) {
+			$("#nameEntryPlayer").text(finalScores[0].playerNo > 0 ? "Player " + finalScores[0].playerNo + ": " : "");
+			$("#initialsInput").val("");
+			$("#nameEntry").show();
+		} else {
+			$("#nameEntry").hide();
+		}
+	}
+	
+	function saveHighScore() {
+		var entry = finalScores.shift();
+		if ( !entry ) {
+			return;
+		}
+		var position = highScores.add($("#initialsInput").val(), entry.score, entry.timeSurvived);
+		askForInitials();
+		showHighScores(position);
+		$("#initialsInput").focus();
+	}
+	
+	// Fill in the high score table, highlighting the new score if there is one.
+	function showHighScores(newScorePosition) {
+		var table = $("#highScoreTable").empty();
+		highScores.getScores().forEach(function(entry, position) {
+			var seconds = Math.floor(entry.timeSurvived/1000);
+			var timeSurvived = Math.floor(seconds/60) + ":" + ("0" + seconds % 60).slice(-2);
+			var row = $("<tr/>").append(
+				$("<td/>").text(position + 1),
+				$("<td/>").text(entry.initials),
+				$("<td/>").text(entry.score),
+				$("<td/>").text(timeSurvived),
+				$("<td/>").text(new Date(entry.date).toLocaleDateString()));
+			if ( position === newScorePosition ) {
+				row.addClass("newScore");
+			}
+			table.append(row);
+		});
+	}
+	
+	// Give the player a file to save, e.g. a recording of the game.
+	function downloadJSON(fileName, json) {
+		var link = document.createElement("a");
+		link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+		link.download = fileName;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+	}
+	
+	// Show a message in the middle of the canvas for a couple of seconds.
+	function showBanner(message) {
+		$("#levelBanner").stop(true, true).text(message).fadeIn(500).delay(2000).fadeOut(500);
+	}
+	
+	// Returns one of a player's parts of the score bar, e.g. #livesDiv for
+	// player 1 and #livesDiv2 for player 2.
+	function playerHud(id, playerNo) {
+		return $("#" + id + (playerNo > 1 ? playerNo : ""));
+	}
+	
+	// The second player's row of the score bar is only shown in co-op games,
+	// and their own score only if they aren't sharing one.
+	function showPlayers() {
+		var coop = gameEngine.getPlayerCount() > 1;
+		$("#canvasTop2, #playerLabel1").toggle(coop);
+		$("#score2").toggle(coop && !gameEngine.isScoreShared());
+		showScores();
+		showLivesAndHealth();
+	}
+	
+	function showScores() {
+		if ( gameEngine.getPlayerCount() > 1 && !gameEngine.isScoreShared() ) {
+			scoreDiv.innerHTML = gameEngine.getPlayerScore(1);
+			$("#scoreDiv2").text(gameEngine.getPlayerScore(2));
+		} else {
+			scoreDiv.innerHTML = gameEngine.getScore();
+		}
+	}
+	
+	function showLivesAndHealth() {
+		for ( var playerNo = 1; playerNo <= gameEngine.getPlayerCount(); playerNo++ ) {
+			playerHud("livesDiv", playerNo).text(gameEngine.getLives(playerNo));
+			showHealth(playerNo, gameEngine.getHitPoints(playerNo), gameEngine.getMaxHitPoints());
+		}
+	}
+	
+	// We only need a health bar if the player can take more than one hit.
+	function showHealth(playerNo, hitPoints, maxHitPoints) {
+		playerHud("healthBar", playerNo).toggle(maxHitPoints > 1);
+		playerHud("healthFill", playerNo).css("width", (100*hitPoints/maxHitPoints) + "%");
+	}
+	
+	// Clear away the end of game screen before the next game.
+	function clearGameOver() {
+		gameFinished = false;
+		$("#multiplierDiv").text("");
+		$("#gameOver").hide();
+	}
+	
+	// Pause the game while the player looks at or changes the controls.
+	$("#showControls").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		if ( gameEngine ) {
+			gameEngine.pause();
+		}
+		controlsPanel.refresh();
+		$("#controlsPanel").toggle();
+	});
+	
+	// Keep the sound settings in step with the AudioManager, which can also
+	// be muted from the keyboard.
+	function showSoundSettings() {
+		$("#muteSound").prop("checked", audioManager.isMuted());
+		$("#soundPanel input[type=range]").each(function() {
+			$(this).val(audioManager.getVolume($(this).data("channel")));
+		});
+	}
+	audioManager.addSettingsListener(showSoundSettings);
+	showSoundSettings();
+	
+	$("#showSound").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		$("#soundPanel").toggle();
+	});
+	
+	$("#muteSound").change(function() {
+		audioManager.setMuted(this.checked);
+	});
+	
+	$("#soundPanel input[type=range]").on("input change", function() {
+		audioManager.setVolume($(this).data("channel"), parseFloat($(this).val()));
+	});
+	
+	$("#showFullscreen").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		display.toggleFullscreen();
+	});
+	
+	$("#showProfiler").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		profiler.toggle();
+	});
+	
+	$("#playAgain").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		clearGameOver();
+		gameEngine.restart();
+		showPlayers();
+	});
+	
+	// Changing the number of players throws the current game away and starts
+	// a new one, as the game engine is set up for the number of players it has.
+	$("#playersSelect").change(function() {
+		// Don't leave the list focused or the players' keys would change it.
+		$(this).blur();
+		if ( gameEngine ) {
+			gameEngine.destroy();
+			clearGameOver();
+			$("#paused").hide();
+			startGame();
+		}
+	});
+	
+	// Save a recording of the game so that it can be played back with replay.html
+	$("#saveReplay").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		downloadJSON("gunship-" + gameEngine.getSeed() + ".json", JSON.stringify(gameEngine.getRecording()));
+	});
+	
+	$("#saveScore").click(saveHighScore);
+	$("#initialsInput").keydown(function(keyEvent) {
+		if ( keyEvent.keyCode === 13 ) {	// Enter key
+			saveHighScore();
+		}
+	});
+	
+	$("#exportScores").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		downloadJSON("gunship-scores.json", highScores.exportJSON());
+	});
+	
+	// Importing needs a file, so we pass the click on to the hidden file input.
+	$("#importScores").click(function(clickEvent) {
+		clickEvent.preventDefault();
+		$("#importScoresFile").click();
+	});
+	
+	$("#importScoresFile").change(function() {
+		var file = this.files[0];
+		if ( file ) {
+			var reader = new FileReader();
+			reader.onload = function() {
+				try {
+					highScores.importJSON(reader.result);
+					showHighScores(-1);
+				} catch (e) {
+					alert("Couldn't import the scores: " + e.message);
+				}
+			};
+			reader.readAsText(file);
+		}
+		// Clear the input so that choosing the same file again still imports it.
+		$(this).val("");
 	});
-	imageCache.load(['images/terrain.png','images/gunship.png', 'images/sprites.png']);
+	
+	assets.load();
 });
\ No newline at end of file
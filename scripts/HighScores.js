@@ -0,0 +1,106 @@
+// Keeps a table of the best scores in the browser's localStorage so that
+// they're still there the next time the game is played.
+// Each entry is { initials: "ABC", score: n, date: "2014-..." , timeSurvived: ms }
+// Parameters:
+//	maxEntries - the number of scores to keep (default 10)
+function HighScores(maxEntries) {
+	var MAX_ENTRIES = maxEntries || 10;
+	var STORAGE_KEY = "gunship.highScores";
+	var entries = load();
+
+	// Returns a copy of the scores, best first.
+	this.getScores = function() {
+		return entries.map(copyEntry);
+	};
+
+	// Returns true if the score is good enough to go in the table.
+	this.qualifies = function(score) {
+		return score > 0 && (entries.length < MAX_ENTRIES || score > entries[entries.length-1].score);
+	};
+
+	// Add a score to the table and save it. Returns the position in the table
+	// (0 for the best score) or -1 if it wasn't good enough to stay in it.
+	this.add = function(initials, score, timeSurvived) {
+		var entry = {
+			initials: cleanInitials(initials),
+			score: score,
+			date: new Date().toISOString(),
+			timeSurvived: timeSurvived
+		};
+		entries.push(entry);
+		sortAndTrim();
+		save();
+		return entries.indexOf(entry);
+	};
+
+	this.clear = function() {
+		entries = [];
+		save();
+	};
+
+	// Returns the table as a JSON string so it can be moved to another machine.
+	this.exportJSON = function() {
+		return JSON.stringify({ version: 1, scores: entries });
+	};
+
+	// Merge scores exported from another machine into our table. Scores we
+	// already have aren't added twice. Throws an Error if the JSON isn't a score table.
+	this.importJSON = function(json) {
+		var data = typeof json === "string" ? JSON.parse(json) : json;
+		if ( !data || data.version !== 1 || !Array.isArray(data.scores) ) {
+			throw new Error("Not a Gunship high score table");
+		}
+		data.scores.filter(isValidEntry).forEach(function(imported) {
+			var alreadyHave = entries.some(function(entry) {
+				return entry.initials === imported.initials && entry.score === imported.score &&
+					   entry.date === imported.date;
+			});
+			if ( !alreadyHave ) {
+				entries.push(copyEntry(imported));
+			}
+		});
+		sortAndTrim();
+		save();
+	};
+
+	function copyEntry(entry) {
+		return {
+			initials: cleanInitials(entry.initials),
+			score: entry.score,
+			date: entry.date,
+			timeSurvived: entry.timeSurvived || 0
+		};
+	}
+
+	function isValidEntry(entry) {
+		return entry && typeof entry.initials === "string" && typeof entry.score === "number" &&
+			   typeof entry.date === "string";
+	}
+
+	// Initials are up to three capital letters or numbers.
+	function cleanInitials(initials) {
+		var cleaned = String(initials || "").toUpperCase().replace(/[^A-Z0-9]/g, "").substring(0, 3);
+		return cleaned || "???";
+	}
+
+	// Best scores first. If two scores are the same the earlier one wins.
+	function sortAndTrim() {
+		entries.sort(function(a, b) {
+			return b.score - a.score || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+		});
+		entries.length = Math.min(entries.length, MAX_ENTRIES);
+	}
+
+	// A broken table is treated as an empty one.
+	function load() {
+		var data = LocalStore.load(STORAGE_KEY);
+		if ( data && Array.isArray(data.scores) ) {
+			return data.scores.filter(isValidEntry).map(copyEntry);
+		}
+		return [];
+	}
+
+	function save() {
+		LocalStore.save(STORAGE_KEY, { version: 1, scores: entries });
+	}
+}
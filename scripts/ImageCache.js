@@ -1,59 +1,34 @@
+// Our ImageCache loads and stores our images. If an image can't be loaded
+// we use a placeholder instead, a pink and black checked square, so that the
+// game can still be played and it's easy to see what's missing.
 function ImageCache() {
-	// Our imagecache is a javascript object that we are using
-	// as a map or dictionary so that we can lookup
-	// an object (in this case an Image object) based on
-	// a string (in this case the url to the image).
-	var imageCache = {};
-	// we store an array of ready functions and execute all
-	// of them once all of the images have loaded.
-	var readyFunctions = [];
-	
-	// Keep track of the number of images we need to load
-	var numImagesToLoad = 0;
-	// Keep track of the number of images actually loaded
-	var numImagesLoaded = 0;
+	AssetCache.call(this, loadImage, createPlaceholder);
 
-	// This function loads an array of images. Each image 
-	// is specified as a Url
-	this.load = function( arrOfUrls ) {
-		arrOfUrls.forEach(function(url) {
-			loadOne(url);
-		});
-	};
-	
-	function loadOne(url) {
-		numImagesToLoad++;	// numImageToLoad = numImagesToLoad+1;
+	function loadImage(url, loaded, failed) {
 		var imageToLoad = new Image();
 		imageToLoad.onload = function() {
-			// Store a reference to the image loaded into
-			// our image cache to that it can be accessed
-			// by the get method
-			imageCache[url] = imageToLoad;
-			numImagesLoaded++;		// another one loaded
-			if ( numImagesToLoad == numImagesLoaded ) {
-				// Use the array forEach function to go
-				// through all the elements in the array
-				// of ready functions calling each one in turn
-				readyFunctions.forEach(function(readyFn){
-					readyFn();
-				});
-			}
+			loaded(imageToLoad);
+		};
+		imageToLoad.onerror = function() {
+			failed("Couldn't load the image");
 		};
-		// This line starts the loading of the image 
-		imageToLoad.src=url;
+		// This line starts the loading of the image
+		imageToLoad.src = url;
+	}
+
+	function createPlaceholder() {
+		var SQUARE = 8;
+		var placeholder = document.createElement("canvas");
+		placeholder.width = placeholder.height = 4*SQUARE;
+		var ctx = placeholder.getContext("2d");
+		ctx.fillStyle = "black";
+		ctx.fillRect(0, 0, placeholder.width, placeholder.height);
+		ctx.fillStyle = "magenta";
+		for ( var row = 0; row < 4; row++ ) {
+			for ( var col = row % 2; col < 4; col += 2 ) {
+				ctx.fillRect(col*SQUARE, row*SQUARE, SQUARE, SQUARE);
+			}
+		}
+		return placeholder;
 	}
-	
-	// This function will return one of the loaded images
-	// from it's internal cache of images.
-	this.get = function(imageToGet) {
-		return imageCache[imageToGet];
-	};
-	
-	// This function allows the caller to specify a function
-	// to be called when all of the images specified in the
-	// load function have been loaded.
-	this.ready = function( functionToRun ) {
-		//readyFunctions[readyFunctions.length] = functionToRun;
-		readyFunctions.push(functionToRun);
-	};
-}
\ No newline at end of file
+}
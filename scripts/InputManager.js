@@ -0,0 +1,402 @@
+// The InputManager sits between the player's controls and the game. It turns
+// key presses, gamepad buttons and touches on the canvas into game actions:
+// UP, DOWN, LEFT, RIGHT, FIRE, PAUSE, MUTE and FULLSCREEN. The game only ever sees the actions
+// so it doesn't need to know which controls the player is using.
+// In two player games the second player has their own P2_UP, P2_DOWN, P2_LEFT,
+// P2_RIGHT and P2_FIRE actions, on the keyboard or a second gamepad.
+// Parameters:
+//	canvas - the game canvas, which we listen to for touches and draw the
+//	         on-screen joystick and buttons on.
+//	display - (optional) the CanvasScaler showing the canvas, so that the
+//	          touches and on-screen controls use the game's logical coordinates.
+function InputManager(canvas, display) {
+	var theCanvas = canvas;
+	var theDisplay = display || null;
+	var ACTIONS = ["UP", "DOWN", "LEFT", "RIGHT", "FIRE", "PAUSE", "MUTE", "FULLSCREEN",
+				   "P2_UP", "P2_DOWN", "P2_LEFT", "P2_RIGHT", "P2_FIRE"];
+	// The key bindings are saved in the browser's localStorage under this name.
+	var STORAGE_KEY = "gunship.keyBindings";
+	// The keyCodes for each action unless the player changes them.
+	var DEFAULT_BINDINGS = {
+		UP: [38, 87],		// Up arrow, W
+		DOWN: [40, 83],		// Down arrow, S
+		LEFT: [37, 65],		// Left arrow, A
+		RIGHT: [39, 68],	// Right arrow, D
+		FIRE: [32],			// Space
+		PAUSE: [80, 27],	// P, Escape
+		MUTE: [77],			// M
+		FULLSCREEN: [70],	// F
+		P2_UP: [73],		// I
+		P2_DOWN: [75],		// K
+		P2_LEFT: [74],		// J
+		P2_RIGHT: [76],		// L
+		P2_FIRE: [13]		// Enter
+	};
+	// Names for keys that String.fromCharCode can't give us.
+	var KEY_NAMES = { 8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt",
+					  27: "Escape", 32: "Space", 37: "Left", 38: "Up", 39: "Right", 40: "Down" };
+
+	var GAMEPAD_DEADZONE = 0.4;		// How far a gamepad stick must move before it counts
+	var JOYSTICK_RADIUS = 40;		// Size of the on-screen joystick in pixels
+	var JOYSTICK_DEADZONE = 10;		// How far the on-screen joystick must move before it counts
+	var BUTTON_RADIUS = 30;			// Size of the on-screen fire button
+	var PAUSE_BUTTON_SIZE = 30;		// Size of the on-screen pause button in the top right corner
+
+	var bindings = loadBindings();
+	var actionListeners = [];
+	// The status of each action from each kind of control. An action is
+	// active if it's active on any of them.
+	var keyboardStatus = {}, gamepadStatus = {}, touchStatus = {};
+	var actionStatus = {};
+	var keysDown = {};
+	// If we're waiting for the player to press a key to bind, this is the callback to give it to.
+	var keyCapture = null;
+	// The touches we're tracking, and where the joystick is.
+	var joystickTouchId = null, fireTouchId = null;
+	var joystickOrigin = null, joystickPos = null;
+	var touchUsed = false;	// Only draw the on-screen controls once the player has touched the canvas
+
+	// The listener is called with (action, status) each time an action starts or stops.
+	this.addActionListener = function(listener) {
+		actionListeners.push(listener);
+	};
+
+	this.removeActionListener = function(listener) {
+		actionListeners = actionListeners.filter(function(other) {
+			return other !== listener;
+		});
+	};
+
+	this.isActive = function(action) {
+		return !!actionStatus[action];
+	};
+
+	this.getActions = function() {
+		return ACTIONS.slice();
+	};
+
+	// Returns a copy of the key bindings, e.g. { UP: [38, 87], ... }
+	this.getBindings = function() {
+		var copy = {};
+		ACTIONS.forEach(function(action) {
+			copy[action] = bindings[action].slice();
+		});
+		return copy;
+	};
+
+	// Bind an action to a list of keyCodes and save the bindings. A key can only
+	// be bound to one action, so it is removed from any other action first.
+	this.setBinding = function(action, keyCodes) {
+		ACTIONS.forEach(function(other) {
+			bindings[other] = bindings[other].filter(function(keyCode) {
+				return keyCodes.indexOf(keyCode) < 0;
+			});
+		});
+		bindings[action] = keyCodes.slice();
+		saveBindings();
+	};
+
+	this.resetBindings = function() {
+		bindings = copyBindings(DEFAULT_BINDINGS);
+		saveBindings();
+	};
+
+	// The next key pressed is given to callback(keyCode) instead of being used as an action.
+	this.captureNextKey = function(callback) {
+		keyCapture = callback;
+	};
+
+	this.getKeyName = function(keyCode) {
+		return KEY_NAMES[keyCode] || String.fromCharCode(keyCode);
+	};
+
+	// Check the gamepad. Browsers don't send events for gamepad buttons so
+	// we call this every frame. We run our own loop for this rather than using
+	// the game clock so that the gamepad can still unpause a paused game.
+	var pollSource = new AnimationFrameTimeSource();
+	var pollId = 0;
+	function pollLoop() {
+		poll();
+		pollId = pollSource.requestFrame(pollLoop);
+	}
+
+	function poll() {
+		var gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+		var pads = [];
+		for ( var ix = 0; ix < gamepads.length && pads.length < 2; ix++ ) {
+			if ( gamepads[ix] && gamepads[ix].connected ) {
+				pads.push(gamepads[ix]);
+			}
+		}
+		gamepadStatus = {};
+		// The first gamepad is player 1's and the second is player 2's. Either can pause.
+		if ( pads.length > 0 ) {
+			readGamepad(pads[0], "");
+		}
+		if ( pads.length > 1 ) {
+			readGamepad(pads[1], "P2_");
+		}
+		updateActions();
+	}
+
+	// Standard gamepad layout: left stick is axes 0 and 1, the d-pad is
+	// buttons 12 to 15, A/B/right trigger fire and start pauses. The prefix
+	// is put in front of the movement and fire actions, e.g. "P2_".
+	function readGamepad(pad, prefix) {
+		var axisX = pad.axes[0] || 0, axisY = pad.axes[1] || 0;
+		gamepadStatus[prefix + "UP"] = axisY < -GAMEPAD_DEADZONE || isPressed(pad, 12);
+		gamepadStatus[prefix + "DOWN"] = axisY > GAMEPAD_DEADZONE || isPressed(pad, 13);
+		gamepadStatus[prefix + "LEFT"] = axisX < -GAMEPAD_DEADZONE || isPressed(pad, 14);
+		gamepadStatus[prefix + "RIGHT"] = axisX > GAMEPAD_DEADZONE || isPressed(pad, 15);
+		gamepadStatus[prefix + "FIRE"] = isPressed(pad, 0) || isPressed(pad, 1) || isPressed(pad, 7);
+		gamepadStatus.PAUSE = gamepadStatus.PAUSE || isPressed(pad, 9);
+	}
+
+	// Draw the on-screen joystick and buttons once the player has started using touch.
+	this.render = function(drawCtx) {
+		if ( !touchUsed ) {
+			return;
+		}
+		var w = areaWidth(), h = areaHeight();
+		drawCtx.save();
+		drawCtx.globalAlpha = 0.4;
+		drawCtx.strokeStyle = "white";
+		drawCtx.fillStyle = "white";
+		drawCtx.lineWidth = 2;
+		// The joystick is drawn where the player put their thumb down, or in the
+		// bottom left corner if they're not touching it.
+		var origin = joystickOrigin || { x: JOYSTICK_RADIUS + 20, y: h - JOYSTICK_RADIUS - 20 };
+		var knob = joystickPos || origin;
+		drawCtx.beginPath();
+		drawCtx.arc(origin.x, origin.y, JOYSTICK_RADIUS, 0, 2*Math.PI);
+		drawCtx.stroke();
+		drawCtx.beginPath();
+		drawCtx.arc(knob.x, knob.y, JOYSTICK_RADIUS/2, 0, 2*Math.PI);
+		drawCtx.fill();
+		// Fire button
+		drawCtx.beginPath();
+		drawCtx.arc(w - BUTTON_RADIUS - 20, h - BUTTON_RADIUS - 20, BUTTON_RADIUS, 0, 2*Math.PI);
+		if ( touchStatus.FIRE ) {
+			drawCtx.fill();
+		} else {
+			drawCtx.stroke();
+		}
+		// Pause button
+		drawCtx.strokeRect(w - PAUSE_BUTTON_SIZE - 5, 5, PAUSE_BUTTON_SIZE, PAUSE_BUTTON_SIZE);
+		drawCtx.fillRect(w - PAUSE_BUTTON_SIZE + 3, 12, 5, PAUSE_BUTTON_SIZE - 14);
+		drawCtx.fillRect(w - 17, 12, 5, PAUSE_BUTTON_SIZE - 14);
+		drawCtx.restore();
+	};
+
+	// Stop listening to the keyboard and canvas.
+	this.destroy = function() {
+		pollSource.cancelFrame(pollId);
+		$(document).off("keydown", onKeyDown);
+		$(document).off("keyup", onKeyUp);
+		$(window).off("blur", releaseAll);
+		theCanvas.removeEventListener("touchstart", onTouchStart);
+		theCanvas.removeEventListener("touchmove", onTouchMove);
+		theCanvas.removeEventListener("touchend", onTouchEnd);
+		theCanvas.removeEventListener("touchcancel", onTouchEnd);
+		actionListeners = [];
+	};
+
+	function onKeyDown(keyEvent) {
+		if ( isTyping(keyEvent) ) {
+			return;
+		}
+		if ( keyCapture ) {
+			var callback = keyCapture;
+			keyCapture = null;
+			keyEvent.preventDefault();
+			callback(keyEvent.keyCode);
+			return;
+		}
+		setKeyStatus(keyEvent, true);
+	}
+
+	function onKeyUp(keyEvent) {
+		if ( !isTyping(keyEvent) ) {
+			setKeyStatus(keyEvent, false);
+		}
+	}
+
+	// Keys typed into a text box on the page, e.g. high score initials, aren't game controls.
+	function isTyping(keyEvent) {
+		var target = keyEvent.target;
+		return !!target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA");
+	}
+
+	function setKeyStatus(keyEvent, status) {
+		keysDown[keyEvent.keyCode] = status;
+		var action = findAction(keyEvent.keyCode);
+		if ( action ) {
+			// Stop the arrow keys and space from scrolling the page.
+			if ( keyEvent.preventDefault ) {
+				keyEvent.preventDefault();
+			}
+			// An action bound to two keys stays active while either is held down.
+			keyboardStatus[action] = bindings[action].some(function(keyCode) {
+				return keysDown[keyCode];
+			});
+			updateActions();
+		}
+	}
+
+	function findAction(keyCode) {
+		for ( var ix = 0; ix < ACTIONS.length; ix++ ) {
+			if ( bindings[ACTIONS[ix]].indexOf(keyCode) >= 0 ) {
+				return ACTIONS[ix];
+			}
+		}
+		return null;
+	}
+
+	function isPressed(pad, buttonNo) {
+		return !!(pad.buttons[buttonNo] && pad.buttons[buttonNo].pressed);
+	}
+
+	// Work out the status of each action from all of the controls and tell
+	// our listeners about any that have changed.
+	function updateActions() {
+		ACTIONS.forEach(function(action) {
+			var status = !!(keyboardStatus[action] || gamepadStatus[action] || touchStatus[action]);
+			if ( status !== !!actionStatus[action] ) {
+				actionStatus[action] = status;
+				actionListeners.forEach(function(listener) {
+					listener(action, status);
+				});
+			}
+		});
+	}
+
+	// When the window loses focus we won't see keys being released, so let go of everything.
+	function releaseAll() {
+		keysDown = {};
+		keyboardStatus = {};
+		touchStatus = {};
+		joystickTouchId = fireTouchId = null;
+		joystickOrigin = joystickPos = null;
+		updateActions();
+	}
+
+	// Convert a touch's position on the page into canvas pixels.
+	function touchPosition(touch) {
+		if ( theDisplay ) {
+			return theDisplay.toLogical(touch.clientX, touch.clientY);
+		}
+		var rect = theCanvas.getBoundingClientRect();
+		return {
+			x: (touch.clientX - rect.left)*theCanvas.width/rect.width,
+			y: (touch.clientY - rect.top)*theCanvas.height/rect.height
+		};
+	}
+	
+	// The size of the area the touch controls are on, in the same units as touchPosition.
+	function areaWidth() {
+		return theDisplay ? theDisplay.getWidth() : theCanvas.width;
+	}
+	
+	function areaHeight() {
+		return theDisplay ? theDisplay.getHeight() : theCanvas.height;
+	}
+
+	// Touches on the left half of the canvas control the joystick, touches on
+	// the right half fire and the button in the top right corner pauses.
+	function onTouchStart(touchEvent) {
+		touchEvent.preventDefault();
+		touchUsed = true;
+		Array.prototype.forEach.call(touchEvent.changedTouches, function(touch) {
+			var pos = touchPosition(touch);
+			if ( pos.x > areaWidth() - PAUSE_BUTTON_SIZE - 10 && pos.y < PAUSE_BUTTON_SIZE + 10 ) {
+				// Pausing is a press and release straight away.
+				touchStatus.PAUSE = true;
+				updateActions();
+				touchStatus.PAUSE = false;
+			} else if ( pos.x < areaWidth()/2 && joystickTouchId === null ) {
+				joystickTouchId = touch.identifier;
+				joystickOrigin = joystickPos = pos;
+			} else if ( pos.x >= areaWidth()/2 && fireTouchId === null ) {
+				fireTouchId = touch.identifier;
+				touchStatus.FIRE = true;
+			}
+		});
+		updateActions();
+	}
+
+	function onTouchMove(touchEvent) {
+		touchEvent.preventDefault();
+		Array.prototype.forEach.call(touchEvent.changedTouches, function(touch) {
+			if ( touch.identifier === joystickTouchId ) {
+				var pos = touchPosition(touch);
+				var dx = pos.x - joystickOrigin.x, dy = pos.y - joystickOrigin.y;
+				// Keep the knob inside the joystick's circle
+				var distance = Math.sqrt(dx*dx + dy*dy);
+				if ( distance > JOYSTICK_RADIUS ) {
+					dx *= JOYSTICK_RADIUS/distance;
+					dy *= JOYSTICK_RADIUS/distance;
+				}
+				joystickPos = { x: joystickOrigin.x + dx, y: joystickOrigin.y + dy };
+				touchStatus.LEFT = dx < -JOYSTICK_DEADZONE;
+				touchStatus.RIGHT = dx > JOYSTICK_DEADZONE;
+				touchStatus.UP = dy < -JOYSTICK_DEADZONE;
+				touchStatus.DOWN = dy > JOYSTICK_DEADZONE;
+			}
+		});
+		updateActions();
+	}
+
+	function onTouchEnd(touchEvent) {
+		touchEvent.preventDefault();
+		Array.prototype.forEach.call(touchEvent.changedTouches, function(touch) {
+			if ( touch.identifier === joystickTouchId ) {
+				joystickTouchId = null;
+				joystickOrigin = joystickPos = null;
+				touchStatus.LEFT = touchStatus.RIGHT = touchStatus.UP = touchStatus.DOWN = false;
+			} else if ( touch.identifier === fireTouchId ) {
+				fireTouchId = null;
+				touchStatus.FIRE = false;
+			}
+		});
+		updateActions();
+	}
+
+	function copyBindings(from) {
+		var copy = {};
+		ACTIONS.forEach(function(action) {
+			copy[action] = (from[action] || []).slice();
+		});
+		return copy;
+	}
+
+	// Actions added since the bindings were saved, or whose saved keys are
+	// broken, get their default keys.
+	function loadBindings() {
+		var saved = LocalStore.load(STORAGE_KEY) || {};
+		var loaded = {};
+		ACTIONS.forEach(function(action) {
+			loaded[action] = isKeyCodeList(saved[action]) ? saved[action] : DEFAULT_BINDINGS[action];
+		});
+		return copyBindings(loaded);
+	}
+
+	function isKeyCodeList(keyCodes) {
+		return Array.isArray(keyCodes) && keyCodes.every(function(keyCode) {
+			return typeof keyCode === "number";
+		});
+	}
+
+	function saveBindings() {
+		LocalStore.save(STORAGE_KEY, bindings);
+	}
+
+	$(document).keydown(onKeyDown);
+	$(document).keyup(onKeyUp);
+	$(window).blur(releaseAll);
+	// jQuery 1.10 doesn't give us the touch lists, so we listen to the canvas directly.
+	theCanvas.addEventListener("touchstart", onTouchStart);
+	theCanvas.addEventListener("touchmove", onTouchMove);
+	theCanvas.addEventListener("touchend", onTouchEnd);
+	theCanvas.addEventListener("touchcancel", onTouchEnd);
+	pollId = pollSource.requestFrame(pollLoop);
+}
@@ -0,0 +1,157 @@
+// The level director decides when enemies appear. It works through a list
+// of levels (see Levels.js), spawning each level's waves at their times,
+// then the level's boss once the waves have been cleared. When the boss is
+// destroyed the level is complete and, after a short break, the next level starts.
+// Parameters:
+//	levels - the list of levels to play
+//	height - the height of the canvas, used to position formations
+//	random - the game's GameRandom, used for "random" formations
+//	listeners - functions to call as the game progresses:
+//		levelStarted(levelEvent) and levelCompleted(levelEvent) where levelEvent
+//		is { levelNo: n, name: "...", lastLevel: true/false }
+function LevelDirector(levels, height, random, listeners) {
+	var theLevels = levels;
+	var LEVEL_BREAK_MS = 3000;	// The break between finishing one level and starting the next
+	var SPAWN_MARGIN = 30;		// Keep formations at least this far from the top and bottom
+
+	var levelIdx = 0;
+	var levelStartTime = 0;
+	// The state is one of:
+	//	"waves" - spawning the level's waves
+	//	"boss" - waiting for the boss to be destroyed
+	//	"break" - between levels
+	//	"finished" - all of the levels have been completed
+	var state = "waves";
+	var breakEndTime = 0;
+	// Enemies waiting to be spawned. Each is { time: t, type: "bug", top: n }
+	// where time is the game time to spawn it and top is where its centre should be.
+	var pendingSpawns = [];
+	// The spawns returned by update. We're called every frame so we reuse the same array.
+	var spawns = [];
+
+	// Start the first level.
+	this.start = function(now) {
+		startLevel(0, now);
+	};
+
+	// Called every frame with the game time and the number of enemies still
+	// alive. Returns a list of enemies to spawn now, each { type: "bug", top: n }.
+	// maxToSpawn limits how many we can spawn this frame - the rest wait.
+	// The same list is returned each time, so use it before calling update again.
+	this.update = function(now, enemiesAlive, maxToSpawn) {
+		spawns.length = 0;
+		if ( state === "waves" || state === "boss" ) {
+			while ( pendingSpawns.length > 0 && pendingSpawns[0].time <= now && spawns.length < maxToSpawn ) {
+				spawns.push(pendingSpawns.shift());
+			}
+			var allClear = pendingSpawns.length === 0 && enemiesAlive + spawns.length === 0;
+			if ( allClear && state === "waves" ) {
+				state = "boss";
+				var boss = currentLevel().boss;
+				if ( boss ) {
+					spawns.push({ type: boss.type, top: height*boss.top });
+				}
+				// With no boss the level is over as soon as the waves are cleared.
+			} else if ( allClear && state === "boss" ) {
+				completeLevel(now);
+			}
+		} else if ( state === "break" && now >= breakEndTime ) {
+			startLevel(levelIdx + 1, now);
+		}
+		return spawns;
+	};
+
+	// Returns the number of the current level, starting at 1.
+	this.getLevelNo = function() {
+		return levelIdx + 1;
+	};
+
+	this.getState = function() {
+		return state;
+	};
+
+	// Skip the rest of the current level. Used by the debug console.
+	this.skipLevel = function(now) {
+		if ( state === "waves" || state === "boss" ) {
+			pendingSpawns = [];
+			completeLevel(now);
+		}
+	};
+
+	function currentLevel() {
+		return theLevels[levelIdx];
+	}
+
+	function levelEvent() {
+		return {
+			levelNo: levelIdx + 1,
+			name: currentLevel().name,
+			lastLevel: levelIdx === theLevels.length - 1
+		};
+	}
+
+	function startLevel(newLevelIdx, now) {
+		levelIdx = newLevelIdx;
+		levelStartTime = now;
+		state = "waves";
+		pendingSpawns = [];
+		currentLevel().waves.forEach(function(wave) {
+			Array.prototype.push.apply(pendingSpawns, formationSpawns(wave));
+		});
+		// Keep the spawns in time order so we only ever have to look at the first one.
+		// Spawns at the same time keep the order they were added in.
+		pendingSpawns.forEach(function(spawn, ix) { spawn.order = ix; });
+		pendingSpawns.sort(function(a, b) { return a.time - b.time || a.order - b.order; });
+		listeners.levelStarted(levelEvent());
+	}
+
+	function completeLevel(now) {
+		listeners.levelCompleted(levelEvent());
+		if ( levelIdx < theLevels.length - 1 ) {
+			state = "break";
+			breakEndTime = now + LEVEL_BREAK_MS;
+		} else {
+			state = "finished";
+		}
+	}
+
+	// Work out when and where each enemy in a wave appears. A wave is
+	//	{ at: ms, type: "bug", count: n, formation: "line", top: 0.5, spacing: px, interval: ms }
+	// where at is the time after the start of the level, top is how far down the
+	// canvas (0 to 1) the formation is centred and the formation is one of:
+	//	"line" - one after another along the same line, interval ms apart
+	//	"column" - all at once, one above the other, spacing pixels apart
+	//	"vee" - a leader followed by pairs, each pair wider apart than the last
+	//	"random" - one after another at random heights, interval ms apart
+	function formationSpawns(wave) {
+		var spawns = [];
+		var startTime = levelStartTime + wave.at;
+		var centre = height*wave.top;
+		var spacing = wave.spacing || 45;
+		var interval = wave.interval || 400;
+		for ( var ix = 0; ix < wave.count; ix++ ) {
+			var time = startTime, top = centre;
+			switch ( wave.formation ) {
+				case "column":
+					top = centre + (ix - (wave.count-1)/2)*spacing;
+					break;
+				case "vee":
+					// 0 is the leader, then 1 and 2 are the first pair, 3 and 4 the next...
+					var pairNo = Math.ceil(ix/2);
+					top = centre + (ix % 2 === 0 ? 1 : -1)*pairNo*spacing;
+					time = startTime + pairNo*interval;
+					break;
+				case "random":
+					top = SPAWN_MARGIN + random.next()*(height - 2*SPAWN_MARGIN);
+					time = startTime + ix*interval;
+					break;
+				default:	// "line"
+					time = startTime + ix*interval;
+					break;
+			}
+			top = Math.max(SPAWN_MARGIN, Math.min(top, height - SPAWN_MARGIN));
+			spawns.push({ time: time, type: wave.type, top: top });
+		}
+		return spawns;
+	}
+}
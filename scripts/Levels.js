@@ -0,0 +1,59 @@
+// The levels of our game. Each level has a name, a list of timed waves and an
+// optional boss that appears once all the waves have been cleared.
+// Each wave is:
+//	at - milliseconds after the start of the level that the wave begins
+//	type - the name of an enemy type from EnemyTypes.js
+//	count - how many enemies are in the wave
+//	formation - "line", "column", "vee" or "random" (see LevelDirector)
+//	top - how far down the canvas the formation is centred, from 0 (top) to 1 (bottom)
+//	spacing - pixels between enemies in "column" and "vee" formations
+//	interval - milliseconds between enemies in "line", "vee" and "random" formations
+// The boss is { type: "queen", top: 0.5 }
+// The background is the name of one of the BACKGROUNDS in Backgrounds.js and
+// scrollSpeed is how many pixels the ground moves each frame during the waves.
+var LEVELS = [
+	{
+		name: "The Swarm Arrives",
+		background: "day",
+		scrollSpeed: 1,
+		waves: [
+			{ at: 1000, type: "bug", count: 5, formation: "line", top: 0.3, interval: 600 },
+			{ at: 5000, type: "bug", count: 5, formation: "line", top: 0.7, interval: 600 },
+			{ at: 10000, type: "bug", count: 5, formation: "column", top: 0.5, spacing: 80 },
+			{ at: 15000, type: "weaver", count: 4, formation: "line", top: 0.5, interval: 800 },
+			{ at: 20000, type: "bug", count: 7, formation: "vee", top: 0.5, spacing: 45, interval: 400 },
+			{ at: 26000, type: "bug", count: 12, formation: "random", top: 0.5, interval: 300 }
+		],
+		boss: { type: "queen", top: 0.5 }
+	},
+	{
+		name: "Crossfire",
+		background: "dusk",
+		scrollSpeed: 1.5,
+		waves: [
+			{ at: 1000, type: "weaver", count: 6, formation: "line", top: 0.3, interval: 500 },
+			{ at: 4000, type: "gunner", count: 3, formation: "column", top: 0.5, spacing: 120 },
+			{ at: 9000, type: "diver", count: 6, formation: "random", top: 0.5, interval: 500 },
+			{ at: 14000, type: "bug", count: 9, formation: "vee", top: 0.5, spacing: 40, interval: 300 },
+			{ at: 18000, type: "gunner", count: 5, formation: "line", top: 0.7, interval: 700 },
+			{ at: 24000, type: "diver", count: 10, formation: "random", top: 0.5, interval: 300 },
+			{ at: 24000, type: "weaver", count: 4, formation: "line", top: 0.2, interval: 800 }
+		],
+		boss: { type: "queen", top: 0.3 }
+	},
+	{
+		name: "The Hive",
+		background: "night",
+		scrollSpeed: 2,
+		waves: [
+			{ at: 1000, type: "hunter", count: 4, formation: "line", top: 0.5, interval: 800 },
+			{ at: 5000, type: "hoverer", count: 3, formation: "column", top: 0.5, spacing: 130 },
+			{ at: 10000, type: "gunner", count: 6, formation: "vee", top: 0.5, spacing: 50, interval: 400 },
+			{ at: 15000, type: "diver", count: 12, formation: "random", top: 0.5, interval: 250 },
+			{ at: 20000, type: "hunter", count: 6, formation: "random", top: 0.5, interval: 500 },
+			{ at: 25000, type: "hoverer", count: 4, formation: "line", top: 0.3, interval: 1000 },
+			{ at: 25000, type: "weaver", count: 8, formation: "line", top: 0.8, interval: 500 }
+		],
+		boss: { type: "queen", top: 0.5 }
+	}
+];
@@ -0,0 +1,52 @@
+// Draws a loading bar on the game canvas while our assets load, and lists
+// any that couldn't be loaded underneath it.
+// Parameters:
+//	canvas - the canvas to draw on
+//	display - (optional) the CanvasScaler showing the canvas, so that we draw
+//	          in the game's logical coordinates
+function LoadingBar(canvas, display) {
+	var theCanvas = canvas;
+	var theDisplay = display || null;
+	var drawCtx = theCanvas.getContext("2d");
+	var BAR_WIDTH = 300;
+	var BAR_HEIGHT = 20;
+	var fraction = 0;
+	var errors = [];
+
+	// Called with the AssetLoader's progress events.
+	this.update = function(progressEvent) {
+		fraction = progressEvent.total > 0 ? progressEvent.loaded/progressEvent.total : 1;
+		draw();
+	};
+
+	// Called with the AssetLoader's error events.
+	this.addError = function(errorEvent) {
+		errors.push(errorEvent);
+		draw();
+	};
+
+	function draw() {
+		var w = theDisplay ? theDisplay.getWidth() : theCanvas.width,
+			h = theDisplay ? theDisplay.getHeight() : theCanvas.height;
+		var barLeft = (w - BAR_WIDTH)/2, barTop = (h - BAR_HEIGHT)/2;
+		drawCtx.save();
+		drawCtx.fillStyle = "black";
+		drawCtx.fillRect(0, 0, w, h);
+		drawCtx.fillStyle = "green";
+		drawCtx.font = "16px 'Courier New', monospace";
+		drawCtx.textAlign = "center";
+		drawCtx.fillText("Loading... " + Math.round(100*fraction) + "%", w/2, barTop - 10);
+		drawCtx.strokeStyle = "green";
+		drawCtx.strokeRect(barLeft, barTop, BAR_WIDTH, BAR_HEIGHT);
+		drawCtx.fillRect(barLeft, barTop, BAR_WIDTH*fraction, BAR_HEIGHT);
+		// List the assets that failed so the player knows why things look wrong.
+		drawCtx.fillStyle = "red";
+		drawCtx.font = "12px 'Courier New', monospace";
+		errors.forEach(function(error, ix) {
+			drawCtx.fillText(error.url + ": " + error.message, w/2, barTop + BAR_HEIGHT + 25 + 16*ix);
+		});
+		drawCtx.restore();
+	}
+
+	draw();
+}
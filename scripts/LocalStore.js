@@ -0,0 +1,23 @@
+// Saves settings in the browser's localStorage so that they're still there the
+// next time the game is played, e.g. the key bindings and the high scores.
+// Some browsers don't allow localStorage, e.g. in private mode, and what's
+// saved can get broken, so neither of these ever throws. If saving fails the
+// settings still work until the page is closed.
+var LocalStore = {
+	// Returns the value saved under the key, or null if there isn't one or it can't be read.
+	load: function(key) {
+		try {
+			return JSON.parse(localStorage.getItem(key));
+		} catch (e) {
+			return null;
+		}
+	},
+
+	save: function(key, value) {
+		try {
+			localStorage.setItem(key, JSON.stringify(value));
+		} catch (e) {
+			// Nowhere to save it, so it's only kept until the page is closed.
+		}
+	}
+};
@@ -0,0 +1,16 @@
+// A time source for when we want to drive the game ourselves rather than
+// letting the browser do it, e.g. in a headless test or when stepping
+// through a game frame by frame looking for a bug. It never schedules
+// any frames, so the GameClock only moves when its step() method is called.
+function ManualTimeSource() {
+	this.now = function() {
+		return 0;
+	};
+
+	this.requestFrame = function(callback) {
+		return 0;
+	};
+
+	this.cancelFrame = function(animationId) {
+	};
+}
@@ -0,0 +1,133 @@
+// Movement patterns for our enemies. Each pattern is a function that takes
+// the settings from an enemy type's "movement" section and a context that
+// tells it about the game:
+//	context.width, context.height - the size of the canvas
+//	context.random - the game's GameRandom. Patterns must only use this for
+//	                 random numbers so that recorded games play back the same.
+//	context.getTargetPosition(top, left) - returns { top, left } of the centre of
+//	                 the player nearest to the given position
+// The pattern returns a move function which AutoSprite calls on each update as
+// move(sprite, framesElapsed). Each enemy gets its own move function so it can
+// remember things between updates, e.g. where it started.
+// The move functions are called every frame for every sprite, so they use
+// getTop/getLeft rather than getPosition to avoid creating objects.
+// To add a new pattern just add it here and use its name in EnemyTypes.js.
+var MovementPatterns = {
+	// Straight across the screen from right to left.
+	straight: function(settings, context) {
+		return function(sprite, framesElapsed) {
+			sprite.setPosition(sprite.getTop(), sprite.getLeft() - settings.speed*framesElapsed);
+		};
+	},
+
+	// Weave up and down while moving left.
+	//	amplitude - how far above and below its starting line the enemy goes
+	//	period - number of frames for one complete wave
+	sineWave: function(settings, context) {
+		var frames = 0;
+		var baseTop = null;
+		return function(sprite, framesElapsed) {
+			if ( baseTop === null ) {
+				// Keep the whole wave on the canvas.
+				baseTop = Math.max(settings.amplitude,
+					Math.min(sprite.getTop(), context.height - sprite.getHeight() - settings.amplitude));
+			}
+			frames += framesElapsed;
+			var top = baseTop + settings.amplitude*Math.sin(2*Math.PI*frames/settings.period);
+			sprite.setPosition(top, sprite.getLeft() - settings.speed*framesElapsed);
+		};
+	},
+
+	// Move diagonally, bouncing off the top and bottom of the canvas.
+	//	slope - how many pixels down for each pixel left
+	diagonal: function(settings, context) {
+		var direction = context.random.next() < 0.5 ? -1 : 1;
+		return function(sprite, framesElapsed) {
+			var top = sprite.getTop() + direction*settings.slope*settings.speed*framesElapsed;
+			var maxTop = context.height - sprite.getHeight();
+			if ( top < 0 || top > maxTop ) {
+				direction = -direction;
+				top = Math.max(0, Math.min(top, maxTop));
+			}
+			sprite.setPosition(top, sprite.getLeft() - settings.speed*framesElapsed);
+		};
+	},
+
+	// Move left while steering up or down towards the nearest player.
+	//	turnSpeed - the most pixels per frame the enemy can move up or down
+	homing: function(settings, context) {
+		return function(sprite, framesElapsed) {
+			var centre = sprite.getTop() + sprite.getHeight()/2;
+			var target = context.getTargetPosition(centre, sprite.getLeft() + sprite.getWidth()/2);
+			var maxMove = settings.turnSpeed*framesElapsed;
+			var move = Math.max(-maxMove, Math.min(target.top - centre, maxMove));
+			sprite.setPosition(sprite.getTop() + move, sprite.getLeft() - settings.speed*framesElapsed);
+		};
+	},
+
+	// Fly in, stop and hover for a while, then carry on across the screen.
+	//	hoverAt - how far across the canvas to stop, from 0 (left) to 1 (right)
+	//	hoverFrames - how many frames to hover for, Infinity to hover forever
+	//	bob - how far to bob up and down while hovering
+	//	bobPeriod - number of frames for one bob up and down (default 60)
+	hover: function(settings, context) {
+		var framesHovered = 0;
+		var hoverTop = null;
+		return function(sprite, framesElapsed) {
+			var left = sprite.getLeft();
+			var hovering = left <= context.width*settings.hoverAt && framesHovered < settings.hoverFrames;
+			if ( hovering ) {
+				if ( hoverTop === null ) {
+					hoverTop = sprite.getTop();
+				}
+				framesHovered += framesElapsed;
+				var bob = settings.bob*Math.sin(2*Math.PI*framesHovered/(settings.bobPeriod || 60));
+				sprite.setPosition(hoverTop + bob, left);
+			} else {
+				sprite.setPosition(hoverTop === null ? sprite.getTop() : hoverTop,
+								   left - settings.speed*framesElapsed);
+			}
+		};
+	},
+
+	// Move at a fixed speed in a fixed direction. Used for enemy bullets.
+	//	dx, dy - pixels to move across and down each frame
+	velocity: function(settings, context) {
+		return function(sprite, framesElapsed) {
+			sprite.setPosition(sprite.getTop() + settings.dy*framesElapsed, sprite.getLeft() + settings.dx*framesElapsed);
+		};
+	},
+
+	// Steer towards the nearest enemy. Used for homing missiles.
+	//	speed - pixels per frame
+	//	angle - the direction to start off in, in radians (0 is to the right)
+	//	turnRate - the most the direction can change in one frame, in radians
+	//	lifeFrames - how many frames the missile flies for before it's done, so that
+	//	             one that can't turn tightly enough doesn't circle its target forever
+	// The context must also have findNearestEnemy(position) which returns
+	// { top, left } of the centre of the nearest enemy or null if there are none.
+	seekEnemy: function(settings, context) {
+		var angle = settings.angle;
+		var centre = { top: 0, left: 0 };
+		var frames = 0;
+		return function(sprite, framesElapsed) {
+			frames += framesElapsed;
+			if ( frames >= settings.lifeFrames ) {
+				sprite.setDone(true);
+				return;
+			}
+			centre.top = sprite.getTop() + sprite.getHeight()/2;
+			centre.left = sprite.getLeft() + sprite.getWidth()/2;
+			var target = context.findNearestEnemy(centre);
+			if ( target ) {
+				var wanted = Math.atan2(target.top - centre.top, target.left - centre.left);
+				// Turn the shortest way round towards the target, but no faster than turnRate
+				var turn = Math.atan2(Math.sin(wanted - angle), Math.cos(wanted - angle));
+				var maxTurn = settings.turnRate*framesElapsed;
+				angle += Math.max(-maxTurn, Math.min(turn, maxTurn));
+			}
+			sprite.setPosition(sprite.getTop() + Math.sin(angle)*settings.speed*framesElapsed,
+							   sprite.getLeft() + Math.cos(angle)*settings.speed*framesElapsed);
+		};
+	}
+};
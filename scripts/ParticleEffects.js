@@ -0,0 +1,49 @@
+// The particle effects in our game. Each effect describes the particles an
+// emitter gives off (see ParticleSystem):
+//	count - for a burst, how many particles are given off all at once
+//	rate - for a continuous emitter, how many particles are given off each
+//	       frame (can be less than one, e.g. 0.5 is one every other frame)
+//	life - [min, max] frames that each particle lasts
+//	angle - the direction, in degrees, the particles head in. 0 is right and 90 is down.
+//	spread - how many degrees either side of angle the particles can head in
+//	speed - [min, max] pixels per frame
+//	gravity - pixels per frame added to each particle's downwards speed every
+//	          frame. A negative gravity makes particles rise, like smoke.
+//	size - [start, end] size in pixels over the particle's life
+//	colour - [start, end] colours, each [red, green, blue], over the particle's life
+//	alpha - [start, end] opacity over the particle's life
+var PARTICLE_EFFECTS = {
+	// Bits flying off an enemy that's been destroyed
+	debris: {
+		count: 16,
+		life: [30, 60],
+		angle: 0, spread: 180,
+		speed: [1, 4],
+		gravity: 0.1,
+		size: [4, 1],
+		colour: [[255, 200, 60], [90, 70, 60]],
+		alpha: [1, 0.3]
+	},
+	// Smoke from the gunship when it's damaged
+	smoke: {
+		rate: 0.5,
+		life: [40, 70],
+		angle: 180, spread: 20,
+		speed: [0.5, 1.5],
+		gravity: -0.02,
+		size: [3, 10],
+		colour: [[60, 60, 60], [160, 160, 160]],
+		alpha: [0.7, 0]
+	},
+	// Dust and air blown back by the gunship's rotor
+	rotorWash: {
+		rate: 1,
+		life: [15, 25],
+		angle: 180, spread: 15,
+		speed: [1.5, 2.5],
+		gravity: 0,
+		size: [2, 4],
+		colour: [[220, 220, 200], [220, 220, 200]],
+		alpha: [0.4, 0]
+	}
+};
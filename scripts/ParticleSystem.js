@@ -0,0 +1,171 @@
+// Our particle system draws lots of tiny, short lived particles, e.g. the
+// debris from an explosion or a trail of smoke. Particles are too small and
+// too many to be sprites, so the system looks after them all itself.
+// Creating and throwing away thousands of objects would keep the browser's
+// garbage collector busy and make the game stutter, so we create all of our
+// particles up front and reuse them. The live particles are always at the
+// start of the particles array - when one dies we swap it with the last live one.
+// Parameters:
+//	seed - the seed for the particles' random numbers. They have their own
+//	       GameRandom so that they don't change the game's random numbers.
+//	maxParticles - the most particles there can be at once (default 1000)
+function ParticleSystem(seed, maxParticles) {
+	var MAX_PARTICLES = maxParticles || 1000;
+	// Colours are worked out ahead of time in this many steps so that we
+	// don't have to make a new colour string for every particle every frame.
+	var COLOUR_STEPS = 16;
+	var random = new GameRandom(seed);
+	var particles = [];
+	var numAlive = 0;
+	var emitters = [];
+	// The effects are shared with everything else that uses them, so rather than
+	// add the colours to them we keep them here. Each entry is
+	// { effect: theEffect, colourSteps: arrayOfColours }
+	var effectColours = [];
+
+	for ( var ix = 0; ix < MAX_PARTICLES; ix++ ) {
+		particles.push({ top: 0, left: 0, dx: 0, dy: 0, age: 0, life: 0, effect: null, colourSteps: null });
+	}
+
+	// Give off a burst of effect.count particles at a point on the canvas.
+	this.burst = function(effect, top, left) {
+		var colourSteps = getColourSteps(effect);
+		for ( var count = 0; count < effect.count; count++ ) {
+			emit(effect, colourSteps, top, left);
+		}
+	};
+
+	// Create an emitter that keeps giving off particles, effect.rate each frame,
+	// from wherever getPosition() returns ({ top, left }). The emitter starts
+	// off inactive. It has these methods:
+	//	setActive(active) - start or stop giving off particles
+	//	isActive()
+	//	remove() - get rid of the emitter for good
+	this.createEmitter = function(effect, getPosition) {
+		var emitter = {
+			effect: effect,
+			colourSteps: getColourSteps(effect),
+			getPosition: getPosition,
+			active: false,
+			owed: 0,	// Part of a particle carried over to the next frame
+			setActive: function(active) {
+				this.active = active;
+			},
+			isActive: function() {
+				return this.active;
+			},
+			remove: function() {
+				emitters.splice(emitters.indexOf(this), 1);
+			}
+		};
+		emitters.push(emitter);
+		return emitter;
+	};
+
+	this.update = function(framesElapsed) {
+		for ( var ex = 0; ex < emitters.length; ex++ ) {
+			var emitter = emitters[ex];
+			if ( emitter.active ) {
+				emitter.owed += emitter.effect.rate*framesElapsed;
+				if ( emitter.owed >= 1 ) {
+					var pos = emitter.getPosition();
+					for ( ; emitter.owed >= 1; emitter.owed-- ) {
+						emit(emitter.effect, emitter.colourSteps, pos.top, pos.left);
+					}
+				}
+			}
+		}
+		for ( var ix = 0; ix < numAlive; ix++ ) {
+			var p = particles[ix];
+			p.age += framesElapsed;
+			if ( p.age >= p.life ) {
+				kill(ix--);
+				continue;
+			}
+			p.dy += p.effect.gravity*framesElapsed;
+			p.left += p.dx*framesElapsed;
+			p.top += p.dy*framesElapsed;
+		}
+	};
+
+	this.render = function(drawCtx) {
+		var oldAlpha = drawCtx.globalAlpha;
+		for ( var ix = 0; ix < numAlive; ix++ ) {
+			var p = particles[ix];
+			var effect = p.effect;
+			var t = p.age/p.life;	// How far through its life the particle is, from 0 to 1
+			var size = effect.size[0] + (effect.size[1] - effect.size[0])*t;
+			drawCtx.globalAlpha = effect.alpha[0] + (effect.alpha[1] - effect.alpha[0])*t;
+			drawCtx.fillStyle = p.colourSteps[Math.floor(t*COLOUR_STEPS)];
+			drawCtx.fillRect(p.left - size/2, p.top - size/2, size, size);
+		}
+		drawCtx.globalAlpha = oldAlpha;
+	};
+
+	// Get rid of all of the particles, e.g. when the game starts again, and
+	// start the particles' random numbers again from seed.
+	this.clear = function(seed) {
+		numAlive = 0;
+		emitters.forEach(function(emitter) {
+			emitter.owed = 0;
+		});
+		random.setSeed(seed);
+	};
+
+	this.getCount = function() {
+		return numAlive;
+	};
+
+	// Bring the next spare particle to life. If we've run out we just don't
+	// show it - nobody will notice one particle missing.
+	function emit(effect, colourSteps, top, left) {
+		if ( numAlive === MAX_PARTICLES ) {
+			return;
+		}
+		var p = particles[numAlive++];
+		var angle = (effect.angle + random.between(-effect.spread, effect.spread))*Math.PI/180;
+		var speed = random.between(effect.speed[0], effect.speed[1]);
+		p.top = top;
+		p.left = left;
+		p.dx = Math.cos(angle)*speed;
+		p.dy = Math.sin(angle)*speed;
+		p.age = 0;
+		p.life = random.between(effect.life[0], effect.life[1]);
+		p.effect = effect;
+		p.colourSteps = colourSteps;
+	}
+
+	// Swap a dead particle with the last live one so the live ones stay together.
+	function kill(ix) {
+		numAlive--;
+		var dead = particles[ix];
+		particles[ix] = particles[numAlive];
+		particles[numAlive] = dead;
+	}
+
+	// Returns the colours a particle of the effect goes through over its life,
+	// working them out the first time the effect is used.
+	function getColourSteps(effect) {
+		for ( var ix = 0; ix < effectColours.length; ix++ ) {
+			if ( effectColours[ix].effect === effect ) {
+				return effectColours[ix].colourSteps;
+			}
+		}
+		var colourSteps = makeColourSteps(effect);
+		effectColours.push({ effect: effect, colourSteps: colourSteps });
+		return colourSteps;
+	}
+
+	// The extra step at the end is for particles right at the end of their life.
+	function makeColourSteps(effect) {
+		var colourSteps = [];
+		for ( var step = 0; step <= COLOUR_STEPS; step++ ) {
+			var t = step/COLOUR_STEPS;
+			var rgb = [0, 1, 2].map(function(c) {
+				return Math.round(effect.colour[0][c] + (effect.colour[1][c] - effect.colour[0][c])*t);
+			});
+			colourSteps.push("rgb(" + rgb.join(",") + ")");
+		}
+		return colourSteps;
+	}
+}
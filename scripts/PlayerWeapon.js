@@ -0,0 +1,43 @@
+// Keeps track of the weapon the player is carrying and its upgrade level.
+// Parameters:
+//	weaponTypes - the weapons that can be carried (see Weapons.js)
+function PlayerWeapon(weaponTypes) {
+	var theWeaponTypes = weaponTypes;
+	var STARTING_WEAPON = "standard";
+	var typeName = STARTING_WEAPON;
+	var level = 1;
+
+	this.getTypeName = function() {
+		return typeName;
+	};
+
+	this.getName = function() {
+		return theWeaponTypes[typeName].name;
+	};
+
+	this.getLevel = function() {
+		return level;
+	};
+
+	// Returns the settings (fireDelay, damage and shots or beam) for the weapon at its current level.
+	this.getSettings = function() {
+		return theWeaponTypes[typeName].levels[level-1];
+	};
+
+	// Collect a power-up. If it's for the weapon we already have we upgrade
+	// it, otherwise we swap to the new weapon at its first level.
+	this.powerUp = function(powerUpTypeName) {
+		if ( powerUpTypeName === typeName ) {
+			level = Math.min(level + 1, theWeaponTypes[typeName].levels.length);
+		} else {
+			typeName = powerUpTypeName;
+			level = 1;
+		}
+	};
+
+	// Go back to the weapon we started with, e.g. when the player loses a life.
+	this.reset = function() {
+		typeName = STARTING_WEAPON;
+		level = 1;
+	};
+}
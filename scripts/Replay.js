@@ -0,0 +1,106 @@
+$(document).ready(function() {
+	var gameCanvas = $("#gameCanvas")[0];
+	var display = new CanvasScaler(gameCanvas, $("#gameArea")[0]);
+	display.addResizeListener(function(resizeEvent) {
+		$("#canvasTop, #replayControls").css("width", resizeEvent.width + "px");
+	});
+	display.resize();
+	var assets = new AssetLoader(ASSET_MANIFEST);
+	var loadingBar = new LoadingBar(gameCanvas, display);
+	assets.addProgressListener(loadingBar.update);
+	assets.addErrorListener(loadingBar.addError);
+	var gameEngine, replayPlayer, displayClock;
+
+	// Once a recording has been chosen we create a game engine to play it
+	// back and a replay player to control it.
+	function startReplay(recording) {
+		stopReplay();
+		gameEngine = new GameEngine(gameCanvas, assets.getImageCache(),
+			{ replay: recording, timeSource: new ManualTimeSource(), spriteAtlas: assets.getAtlas(SPRITE_ATLAS),
+			  display: display });
+		gameEngine.init();
+		replayPlayer = new ReplayPlayer(gameEngine, recording);
+		replayPlayer.addFinishedListener(function(finishedEvent) {
+			$("#gameOver").text(finishedEvent.debugUsed ?
+				"Replay can't be checked, the debug console was used: " + finishedEvent.score :
+				finishedEvent.matched ?
+				"Replay matched: " + finishedEvent.score :
+				"Replay differs: " + finishedEvent.score + " (recorded " + recording.getScore() + ")").fadeIn(500);
+		});
+		$("#seekBar").attr("max", recording.getEndFrame());
+		// Keep the score, frame and seek bar up to date as the replay plays.
+		displayClock = new GameClock();
+		displayClock.registerStep(function() {
+			$("#scoreDiv").text(gameEngine.getScore());
+			$("#frameDiv").text(gameEngine.getFrameNo());
+			$("#seekBar").val(gameEngine.getFrameNo());
+		});
+		displayClock.start();
+		replayPlayer.start();
+	}
+
+	// Get rid of the replay that's playing, if there is one, so another can be started.
+	function stopReplay() {
+		if ( replayPlayer ) {
+			replayPlayer.stop();
+			displayClock.stop();
+			gameEngine.destroy();
+			replayPlayer = gameEngine = displayClock = null;
+			$("#gameOver").hide();
+			$("#pauseButton").text("Pause");
+		}
+	}
+
+	assets.ready(function() {
+		if ( !assets.getAtlas(SPRITE_ATLAS) ) {
+			loadingBar.addError({ url: SPRITE_ATLAS, message: "Replays can't be played without it" });
+			return;
+		}
+		$("#replayFile").change(function() {
+			var file = this.files[0];
+			if ( file ) {
+				var reader = new FileReader();
+				reader.onload = function() {
+					var recording;
+					try {
+						recording = GameRecording.fromJSON(reader.result);
+					} catch (e) {
+						alert("Couldn't load the replay: " + e.message);
+						return;
+					}
+					startReplay(recording);
+				};
+				reader.readAsText(file);
+			}
+			// Clear the input so that another file, or the same one again, can be chosen.
+			$(this).val("");
+		});
+	});
+
+	$("#pauseButton").click(function() {
+		if ( replayPlayer ) {
+			if ( replayPlayer.isPaused() ) {
+				replayPlayer.resume();
+				$(this).text("Pause");
+			} else {
+				replayPlayer.pause();
+				$(this).text("Play");
+			}
+		}
+	});
+
+	$(".speedButton").click(function() {
+		if ( replayPlayer ) {
+			replayPlayer.setSpeed($(this).data("speed"));
+		}
+	});
+
+	$("#seekBar").change(function() {
+		if ( replayPlayer ) {
+			$("#gameOver").hide();
+			replayPlayer.seek(parseInt($(this).val(), 10));
+		}
+	});
+
+	assets.load();
+});
@@ -0,0 +1,92 @@
+// Plays back a GameRecording with controls to pause, fast-forward and seek.
+// The game engine must have been created with the recording as its replay
+// option and a ManualTimeSource, so that we decide when it moves on.
+// Parameters:
+//	gameEngine - the GameEngine playing back the recording
+//	recording - the GameRecording being played back
+function ReplayPlayer(gameEngine, recording) {
+	var engine = gameEngine;
+	var theRecording = recording;
+	// Our own clock, which follows the browser, decides when to move the game on.
+	var playerClock = new GameClock();
+	var paused = false;
+	var speed = 1;		// Number of game frames to play for each frame of our clock
+	var finishedListeners = [];
+	var finished = false;
+
+	playerClock.registerStep(function(framesElapsed) {
+		if ( !paused && !finished ) {
+			var framesLeft = theRecording.getEndFrame() - engine.getFrameNo();
+			engine.step(Math.min(speed*framesElapsed, framesLeft));
+			checkFinished();
+		}
+	});
+
+	this.start = function() {
+		playerClock.start();
+	};
+
+	// Stop playing for good, e.g. when another recording is chosen.
+	this.stop = function() {
+		playerClock.stop();
+		finishedListeners = [];
+	};
+
+	this.pause = function() {
+		paused = true;
+	};
+
+	this.resume = function() {
+		paused = false;
+	};
+
+	this.isPaused = function() {
+		return paused;
+	};
+
+	// Set how many times faster than normal the replay should play, e.g. 4 for fast-forward.
+	this.setSpeed = function(newSpeed) {
+		speed = Math.max(1, Math.floor(newSpeed));
+	};
+
+	this.getSpeed = function() {
+		return speed;
+	};
+
+	// Jump to the given frame of the recording.
+	this.seek = function(frameNo) {
+		frameNo = Math.max(0, Math.min(frameNo, theRecording.getEndFrame()));
+		engine.seekTo(frameNo);
+		finished = false;
+		checkFinished();
+	};
+
+	this.getFrameNo = function() {
+		return engine.getFrameNo();
+	};
+
+	// The listener is called with { score: n, matched: true/false, debugUsed: true/false }
+	// when the replay reaches the end of the recording. matched tells us whether
+	// the game played out exactly the way it did when it was recorded. It can't
+	// if debugUsed is true, as the debug console changed the recorded game.
+	this.addFinishedListener = function(listener) {
+		finishedListeners.push(listener);
+	};
+
+	function checkFinished() {
+		if ( !finished && engine.getFrameNo() >= theRecording.getEndFrame() ) {
+			finished = true;
+			var replayed = engine.getRecording();
+			var debugUsed = theRecording.usedDebugCommands();
+			var finishedEvent = {
+				score: engine.getScore(),
+				debugUsed: debugUsed,
+				matched: !debugUsed && engine.getScore() === theRecording.getScore() &&
+						 replayed.getDeathFrame() === theRecording.getDeathFrame()
+			};
+			finishedListeners.forEach(function(listener) {
+				listener(finishedEvent);
+			});
+		}
+	}
+}
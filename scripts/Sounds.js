@@ -0,0 +1,10 @@
+// The sounds our game plays. The game refers to sounds by these names so
+// the files can be changed here without touching the game itself.
+var SOUNDS = {
+	fire: "sounds/fire.wav",
+	explosion: "sounds/explosion.wav",
+	death: "sounds/death.wav",
+	levelStart: "sounds/level_start.wav",
+	levelComplete: "sounds/level_complete.wav",
+	music: "sounds/music.wav"
+};
@@ -0,0 +1,123 @@
+// A uniform grid that divides the canvas into square cells. Each sprite is
+// put into every cell that its hitboxes touch, so to find the sprites that
+// might be touching a sprite we only need to look in the cells it touches
+// rather than at every sprite in the game.
+// Parameters:
+//	cellSize - the width and height of each cell in pixels (default 64)
+function SpatialGrid(cellSize) {
+	var size = cellSize || 64;
+	// The cells are stored in an object using a number made from the column
+	// and row as the key (see cellKey). Each cell is an array of the index
+	// numbers of the sprites in it.
+	var cells = {};
+	// Sprites can be a little way off the canvas, so the columns and rows are
+	// moved along by this much to keep the keys positive.
+	var KEY_OFFSET = 1024;
+	// The cells that have something in them, so that we can empty them quickly.
+	var usedCells = [];
+	var sprites = [];
+	// Each query gets a new number which we use to mark which sprites we've
+	// already found, so that a sprite in several cells is only returned once.
+	var queryNo = 0;
+	var lastSeen = [];
+	// We're called for every bullet every frame, so rather than create new
+	// arrays and objects each time we keep these and reuse them.
+	var found = [];
+	var results = [];
+	var span = { firstCol: 0, lastCol: 0, firstRow: 0, lastRow: 0 };
+
+	// Empty the grid ready to be filled again. We keep the cell arrays so
+	// that we don't have to create new ones every frame.
+	this.clear = function() {
+		for ( var ix = 0; ix < usedCells.length; ix++ ) {
+			usedCells[ix].length = 0;
+		}
+		usedCells.length = 0;
+		sprites.length = 0;
+		lastSeen.length = 0;
+	};
+
+	this.insert = function(sprite) {
+		var spriteIdx = sprites.length;
+		sprites.push(sprite);
+		lastSeen.push(0);
+		findSpan(sprite);
+		for ( var row = span.firstRow; row <= span.lastRow; row++ ) {
+			for ( var col = span.firstCol; col <= span.lastCol; col++ ) {
+				var key = cellKey(col, row);
+				var cell = cells[key];
+				if ( !cell ) {
+					cell = cells[key] = [];
+				}
+				if ( cell.length === 0 ) {
+					usedCells.push(cell);
+				}
+				cell.push(spriteIdx);
+			}
+		}
+	};
+
+	this.insertAll = function(spriteArray) {
+		for ( var ix = 0; ix < spriteArray.length; ix++ ) {
+			this.insert(spriteArray[ix]);
+		}
+	};
+
+	// Returns the sprites that share a cell with the given sprite, in the
+	// order they were inserted. The same array is used for every query, so
+	// use it before asking again.
+	this.query = function(sprite) {
+		found.length = 0;
+		queryNo++;
+		findSpan(sprite);
+		for ( var row = span.firstRow; row <= span.lastRow; row++ ) {
+			for ( var col = span.firstCol; col <= span.lastCol; col++ ) {
+				var cell = cells[cellKey(col, row)];
+				if ( cell ) {
+					for ( var ix = 0; ix < cell.length; ix++ ) {
+						var spriteIdx = cell[ix];
+						if ( lastSeen[spriteIdx] !== queryNo ) {
+							lastSeen[spriteIdx] = queryNo;
+							found.push(spriteIdx);
+						}
+					}
+				}
+			}
+		}
+		// Sort so that we always get the same answer whichever order the
+		// cells were looked at in. This keeps recorded games repeatable.
+		found.sort(byNumber);
+		results.length = found.length;
+		for ( var jx = 0; jx < found.length; jx++ ) {
+			results[jx] = sprites[found[jx]];
+		}
+		return results;
+	};
+
+	function byNumber(a, b) {
+		return a - b;
+	}
+
+	function cellKey(col, row) {
+		col = Math.max(0, Math.min(col + KEY_OFFSET, 2*KEY_OFFSET - 1));
+		row = Math.max(0, Math.min(row + KEY_OFFSET, 2*KEY_OFFSET - 1));
+		return row*2*KEY_OFFSET + col;
+	}
+
+	// Work out the columns and rows of the cells that the sprite's hitboxes touch.
+	function findSpan(sprite) {
+		var boxes = sprite.getHitboxes();
+		var top = Infinity, bottom = -Infinity, left = Infinity, right = -Infinity;
+		for ( var ix = 0; ix < boxes.length; ix++ ) {
+			var box = boxes[ix];
+			top = Math.min(top, box.top);
+			bottom = Math.max(bottom, box.bottom);
+			left = Math.min(left, box.left);
+			right = Math.max(right, box.right);
+		}
+		span.firstCol = Math.floor(left/size);
+		span.lastCol = Math.floor(right/size);
+		span.firstRow = Math.floor(top/size);
+		span.lastRow = Math.floor(bottom/size);
+	}
+}
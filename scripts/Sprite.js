@@ -33,8 +33,46 @@ function Sprite(spriteMap, top, left, width, height, fr, frames, frameDir, doOnc
 	// Store something to indicate that this sprite is finished
 	var done = false;
 	
+	// The areas of the sprite that count when checking for collisions. Each
+	// box is relative to the top left of the sprite. Unless we're told
+	// otherwise the whole frame counts.
+	var hitboxes = [ { left: 0, top: 0, w: width, h: height } ];
+	// The hitboxes where the sprite is on the canvas. We keep these and update
+	// them rather than creating new ones every time we check for collisions.
+	var canvasHitboxes = [ { top: 0, bottom: 0, left: 0, right: 0 } ];
+	
+	// How the sprite is transformed when it is drawn. The rotation (in radians,
+	// clockwise) and scaling are around the pivot, which is relative to the top
+	// left of the sprite and defaults to its centre. The tint is a colour mixed
+	// into the sprite, from 0 (none) to 1 (completely that colour).
+	// These only change how the sprite looks - collisions still use the
+	// untransformed hitboxes.
+	var transform = {
+		rotation: 0,
+		pivotX: width/2,
+		pivotY: height/2,
+		scaleX: 1,
+		scaleY: 1,
+		flipH: false,
+		flipV: false,
+		alpha: 1,
+		tintColour: "white",
+		tintAmount: 0
+	};
+	// The transform properties that are being animated. Each is
+	// { property: "alpha", from: 1, to: 0, frames: n, age: n }
+	var animations = [];
+	// The canvas we draw a tinted frame on before drawing it on the game canvas.
+	var tintCanvas = null;
+	// Returned by getFrameSource. We draw every sprite every frame so we
+	// update this rather than creating a new one each time.
+	var frameSource = { image: spriteMap, left: 0, top: 0, w: width, h: height };
+	
 
 	this.update = function(framesElapsed) {
+		if ( animations.length > 0 ) {
+			updateAnimations(framesElapsed);
+		}
 		if ( frameDivisor > 0 ) {
 			// clockFrame = clockFrame + framesElapsed;
 			clockFrame += framesElapsed;
@@ -54,7 +92,11 @@ function Sprite(spriteMap, top, left, width, height, fr, frames, frameDir, doOnc
 		}
 	};
 	
-	this.render = function(drawCtx) {
+	// The sprite is done once it goes off the edge of the game area, which is
+	// areaWidth by areaHeight. If they aren't given the size of the canvas is used.
+	this.render = function(drawCtx, areaWidth, areaHeight) {
+		var width = areaWidth === undefined ? drawCtx.canvas.width : areaWidth,
+			height = areaHeight === undefined ? drawCtx.canvas.height : areaHeight;
 		// We check here to see if the sprite is still visible before we 
 		// go to the trouble of rendering it.
 		// The below statement is equivaluent to
@@ -66,31 +108,198 @@ function Sprite(spriteMap, top, left, width, height, fr, frames, frameDir, doOnc
 		//		done = done;
 		//    }
 		done |= curSpritePos.left < -size.w || 
-				curSpritePos.left > drawCtx.canvas.width ||
+				curSpritePos.left > width ||
 				curSpritePos.top < -size.h ||
-				curSpritePos.top > drawCtx.canvas.height;
+				curSpritePos.top > height;
 		// If we're done we don't need to do anything
 		if ( !done ) {
-			// Get the frameNo from the frameSet array
-			var frameNo = frameSet[frameIdx];
-			var left = srcPos.left,
-				top = srcPos.top;
-			// Now calculate the offset to the start of the image
-			// we want in our sprite map.
-			if (dir == 'horizontal' ) {
-				left += frameNo * size.w;
-			} else {
-				top += frameNo * size.h;
+			var frame = this.getFrameSource();
+			if ( isTransformed() ) {
+				renderTransformed(drawCtx, frame);
+				return;
 			}
 			// Here we draw the image using the calculated left and top to find the location
 			// of the image in the sprite map and curSpritePos to specify the position that 
 			// we're going to draw frame on the canvas.
-			drawCtx.drawImage(theSpriteMap, left, top, size.w,
+			drawCtx.drawImage(theSpriteMap, frame.left, frame.top, size.w,
 				size.h, curSpritePos.left, curSpritePos.top,
 				size.w, size.h);
 		}
 	};
 	
+	function isTransformed() {
+		return transform.rotation !== 0 || transform.scaleX !== 1 || transform.scaleY !== 1 ||
+			transform.flipH || transform.flipV || transform.alpha !== 1 || transform.tintAmount > 0;
+	}
+	
+	// Move the canvas's origin to our pivot, rotate and scale it, then draw
+	// the frame so that the pivot ends up back where it started.
+	function renderTransformed(drawCtx, frame) {
+		var image = theSpriteMap, srcLeft = frame.left, srcTop = frame.top;
+		if ( transform.tintAmount > 0 ) {
+			image = tintFrame(frame);
+			srcLeft = srcTop = 0;
+		}
+		drawCtx.save();
+		drawCtx.globalAlpha *= transform.alpha;
+		drawCtx.translate(curSpritePos.left + transform.pivotX, curSpritePos.top + transform.pivotY);
+		drawCtx.rotate(transform.rotation);
+		drawCtx.scale(transform.scaleX * (transform.flipH ? -1 : 1),
+					  transform.scaleY * (transform.flipV ? -1 : 1));
+		drawCtx.drawImage(image, srcLeft, srcTop, size.w, size.h,
+			-transform.pivotX, -transform.pivotY, size.w, size.h);
+		drawCtx.restore();
+	}
+	
+	// Draw the frame on our tint canvas and colour it in. "source-atop" only
+	// paints where the frame already has pixels, so the shape stays the same.
+	function tintFrame(frame) {
+		if ( !tintCanvas ) {
+			tintCanvas = document.createElement("canvas");
+			tintCanvas.width = size.w;
+			tintCanvas.height = size.h;
+		}
+		var tintCtx = tintCanvas.getContext("2d");
+		tintCtx.globalCompositeOperation = "source-over";
+		tintCtx.globalAlpha = 1;
+		tintCtx.clearRect(0, 0, size.w, size.h);
+		tintCtx.drawImage(theSpriteMap, frame.left, frame.top, size.w, size.h, 0, 0, size.w, size.h);
+		tintCtx.globalCompositeOperation = "source-atop";
+		tintCtx.globalAlpha = Math.min(1, transform.tintAmount);
+		tintCtx.fillStyle = transform.tintColour;
+		tintCtx.fillRect(0, 0, size.w, size.h);
+		return tintCanvas;
+	}
+	
+	// Move each animation on, keeping the ones that haven't finished at the
+	// start of the array so that we don't need a new array each frame.
+	function updateAnimations(framesElapsed) {
+		var kept = 0;
+		for ( var ix = 0; ix < animations.length; ix++ ) {
+			var anim = animations[ix];
+			anim.age = Math.min(anim.age + framesElapsed, anim.frames);
+			transform[anim.property] = anim.from + (anim.to - anim.from)*anim.age/anim.frames;
+			if ( anim.age < anim.frames ) {
+				animations[kept++] = anim;
+			}
+		}
+		animations.length = kept;
+	}
+	
+	// Rotate the sprite clockwise by angle radians around its pivot.
+	this.setRotation = function(angle) {
+		transform.rotation = angle;
+	};
+	
+	this.getRotation = function() {
+		return transform.rotation;
+	};
+	
+	// Set the point we rotate and scale around, relative to the top left of the sprite.
+	this.setPivot = function(x, y) {
+		transform.pivotX = x;
+		transform.pivotY = y;
+	};
+	
+	// Scale the sprite. If scaleY isn't given the sprite is scaled the same both ways.
+	this.setScale = function(scaleX, scaleY) {
+		transform.scaleX = scaleX;
+		transform.scaleY = scaleY === undefined ? scaleX : scaleY;
+	};
+	
+	this.getScale = function() {
+		return { x: transform.scaleX, y: transform.scaleY };
+	};
+	
+	// Mirror the sprite left to right (horizontal) and/or top to bottom (vertical).
+	this.setFlip = function(horizontal, vertical) {
+		transform.flipH = !!horizontal;
+		transform.flipV = !!vertical;
+	};
+	
+	// Set how opaque the sprite is, from 0 (invisible) to 1.
+	this.setAlpha = function(alpha) {
+		transform.alpha = alpha;
+	};
+	
+	this.getAlpha = function() {
+		return transform.alpha;
+	};
+	
+	// Mix a colour into the sprite. amount is from 0 (none) to 1 (all colour).
+	this.setTint = function(colour, amount) {
+		transform.tintColour = colour;
+		transform.tintAmount = amount;
+	};
+	
+	// Flash the sprite a colour, e.g. white when it's hit, fading back to normal over a number of frames.
+	this.flash = function(colour, frames) {
+		this.setTint(colour, 1);
+		this.animate("tintAmount", 0, frames);
+	};
+	
+	// Change one of the sprite's transforms smoothly from its current value to
+	// a new one over a number of frames. The property is one of "rotation",
+	// "scale", "scaleX", "scaleY", "alpha" or "tintAmount". Animating a property
+	// that is already being animated replaces the old animation.
+	this.animate = function(property, to, frames) {
+		if ( property === "scale" ) {
+			this.animate("scaleX", to, frames);
+			this.animate("scaleY", to, frames);
+			return;
+		}
+		for ( var ix = 0; ix < animations.length; ix++ ) {
+			if ( animations[ix].property === property ) {
+				animations.splice(ix--, 1);
+			}
+		}
+		animations.push({ property: property, from: transform[property], to: to, frames: Math.max(1, frames), age: 0 });
+	};
+	
+	// Returns the image and the area of it that holds the frame we're currently
+	// showing. The same object is returned each time, updated, so don't keep it.
+	this.getFrameSource = function() {
+		// Get the frameNo from the frameSet array
+		var frameNo = frameSet[frameIdx];
+		var left = srcPos.left,
+			top = srcPos.top;
+		// Now calculate the offset to the start of the image
+		// we want in our sprite map.
+		if (dir == 'horizontal' ) {
+			left += frameNo * size.w;
+		} else {
+			top += frameNo * size.h;
+		}
+		frameSource.left = left;
+		frameSource.top = top;
+		return frameSource;
+	};
+	
+	// Set the boxes used for collisions. Each box is { left, top, w, h } relative
+	// to the top left of the sprite.
+	this.setHitboxes = function(boxes) {
+		hitboxes = boxes.map(function(box) {
+			return { left: box.left, top: box.top, w: box.w, h: box.h };
+		});
+		canvasHitboxes = boxes.map(function() {
+			return { top: 0, bottom: 0, left: 0, right: 0 };
+		});
+	};
+	
+	// Returns the collision boxes where the sprite is now on the canvas, with
+	// each box given as the lines surrounding it. This is called a lot, so we
+	// return the same boxes each time, updated - don't keep them or change them.
+	this.getHitboxes = function() {
+		for ( var ix = 0; ix < hitboxes.length; ix++ ) {
+			var box = hitboxes[ix], canvasBox = canvasHitboxes[ix];
+			canvasBox.top = curSpritePos.top + box.top;
+			canvasBox.bottom = canvasBox.top + box.h;
+			canvasBox.left = curSpritePos.left + box.left;
+			canvasBox.right = canvasBox.left + box.w;
+		}
+		return canvasHitboxes;
+	};
+	
 	this.setPosition = function(top, left) {
 		curSpritePos.top = top;
 		curSpritePos.left = left;
@@ -108,6 +317,44 @@ function Sprite(spriteMap, top, left, width, height, fr, frames, frameDir, doOnc
 		return { w: size.w, h: size.h};
 	};
 	
+	// getPosition and getSize create a new object every time they're called.
+	// Code that runs every frame for every sprite can use these instead so that
+	// it doesn't leave lots of objects behind for the garbage collector.
+	this.getTop = function() {
+		return curSpritePos.top;
+	};
+	
+	this.getLeft = function() {
+		return curSpritePos.left;
+	};
+	
+	this.getWidth = function() {
+		return size.w;
+	};
+	
+	this.getHeight = function() {
+		return size.h;
+	};
+	
+	// Put the sprite back the way it was when it was created, so that it can be
+	// used again rather than creating a new one (see SpritePool). The hitboxes
+	// are part of what the sprite is, so they are kept.
+	this.reset = function() {
+		frameIdx = 0;
+		clockFrame = 0;
+		curSpritePos.top = 0;
+		curSpritePos.left = 0;
+		done = false;
+		transform.rotation = 0;
+		transform.pivotX = size.w/2;
+		transform.pivotY = size.h/2;
+		transform.scaleX = transform.scaleY = 1;
+		transform.flipH = transform.flipV = false;
+		transform.alpha = 1;
+		transform.tintAmount = 0;
+		animations.length = 0;
+	};
+	
 	this.isDone = function() {
 		return done;
 	};
@@ -0,0 +1,125 @@
+// A sprite atlas describes where each of our sprites is in a sprite map image
+// and how it animates, so that the game can create sprites by name rather
+// than by the position of their pixels. The atlas is a JSON file (see
+// images/sprites.json) like this:
+//	{
+//		"image": "images/sprites.png",	- the sprite map image
+//		"width": 512, "height": 157,	- the size we expect the image to be
+//		"animations": {
+//			"bug": {
+//				"left": 0, "top": 78,	- where the first frame is in the image
+//				"w": 80, "h": 39,		- the size of a frame
+//				"frames": [0, 1, 2, 1],	- the order to show the frames in
+//				"fps": 10,				- frames of animation per second
+//				"loop": true,			- false to play the frames once, e.g. for an explosion
+//				"direction": "horizontal",	- (optional) how the frames are laid out
+//				"hitboxes": [ { "left": 2, "top": 6, "w": 74, "h": 27 } ]	- (optional) see Sprite.setHitboxes
+//			}
+//		}
+//	}
+// Parameters:
+//	atlasData - the atlas, already parsed from JSON
+//	image - the loaded sprite map image
+function SpriteAtlas(atlasData, image) {
+	var theAtlas = atlasData;
+	var theImage = image;
+	var animations = theAtlas.animations || {};
+	// Anything wrong with the atlas, found when it is created.
+	var problems = findProblems();
+
+	// Returns a list of messages describing anything wrong with the atlas,
+	// e.g. an animation whose frames are outside the image. An empty list
+	// means everything is fine.
+	this.getProblems = function() {
+		return problems.slice();
+	};
+
+	this.getImage = function() {
+		return theImage;
+	};
+
+	this.hasAnimation = function(name) {
+		return animations.hasOwnProperty(name);
+	};
+
+	this.getAnimationNames = function() {
+		return Object.keys(animations);
+	};
+
+	// Create a Sprite showing the named animation.
+	this.createSprite = function(name) {
+		var anim = getAnimation(name);
+		var s = new Sprite(theImage, anim.top, anim.left, anim.w, anim.h, anim.fps, anim.frames,
+			anim.direction, anim.loop === false);
+		setHitboxes(s, anim);
+		return s;
+	};
+
+	// Create an AutoSprite showing the named animation that moves pixelsPerFrame
+	// each frame in the given direction ("horizontal" or "vertical").
+	this.createAutoSprite = function(name, pixelsPerFrame, moveDirection) {
+		var anim = getAnimation(name);
+		var s = new AutoSprite(pixelsPerFrame, moveDirection, theImage, anim.left, anim.top, anim.w, anim.h,
+			anim.fps, anim.frames, anim.direction, anim.loop === false);
+		setHitboxes(s, anim);
+		return s;
+	};
+
+	function getAnimation(name) {
+		if ( !animations.hasOwnProperty(name) ) {
+			throw new Error("The sprite atlas has no animation called " + name);
+		}
+		return animations[name];
+	}
+
+	function setHitboxes(s, anim) {
+		if ( anim.hitboxes ) {
+			s.setHitboxes(anim.hitboxes);
+		}
+	}
+
+	function findProblems() {
+		var found = [];
+		if ( !theImage ) {
+			return [ "The image " + theAtlas.image + " hasn't been loaded" ];
+		}
+		if ( theImage.width !== theAtlas.width || theImage.height !== theAtlas.height ) {
+			found.push(theAtlas.image + " is " + theImage.width + "x" + theImage.height +
+				" but the atlas expects " + theAtlas.width + "x" + theAtlas.height);
+		}
+		Object.keys(animations).forEach(function(name) {
+			checkAnimation(animations[name]).forEach(function(problem) {
+				found.push("Animation " + name + ": " + problem);
+			});
+		});
+		return found;
+	}
+
+	function checkAnimation(anim) {
+		var found = [];
+		var numbers = ['left', 'top', 'w', 'h', 'fps'];
+		numbers.forEach(function(field) {
+			if ( typeof anim[field] !== "number" || anim[field] < 0 ) {
+				found.push(field + " should be a number that isn't negative");
+			}
+		});
+		if ( !Array.isArray(anim.frames) || anim.frames.length === 0 ) {
+			found.push("frames should be a list of frame numbers");
+			return found;
+		}
+		// The last frame used has to fit inside the image.
+		var lastFrame = Math.max.apply(Math, anim.frames);
+		var vertical = anim.direction === "vertical";
+		var right = anim.left + anim.w*(vertical ? 1 : lastFrame + 1);
+		var bottom = anim.top + anim.h*(vertical ? lastFrame + 1 : 1);
+		if ( right > theImage.width || bottom > theImage.height ) {
+			found.push("frame " + lastFrame + " goes outside the image");
+		}
+		(anim.hitboxes || []).forEach(function(box, ix) {
+			if ( box.left < 0 || box.top < 0 || box.left + box.w > anim.w || box.top + box.h > anim.h ) {
+				found.push("hitbox " + ix + " goes outside the frame");
+			}
+		});
+		return found;
+	}
+}
@@ -0,0 +1,40 @@
+// A pool of sprites that can be used again once the game has finished with
+// them. Creating a new sprite for every enemy, bullet and explosion leaves lots
+// of old ones for the browser's garbage collector to clear up, which makes the
+// game stutter. Instead we take a sprite from the pool with acquire() and give
+// it back with release() when it's done. A new sprite is only created when
+// there are none left in the pool.
+// Parameters:
+//	create - a function that returns a new sprite for the pool. The sprite
+//	         must have a reset() method which puts it back as it was created.
+function SpritePool(create) {
+	var createSprite = create;
+	var free = [];
+	var created = 0;
+
+	// Returns a sprite that isn't being used, creating a new one if we have to.
+	this.acquire = function() {
+		if ( free.length > 0 ) {
+			return free.pop();
+		}
+		created++;
+		return createSprite();
+	};
+
+	// Put the sprite back in the pool. Nothing else should keep the sprite
+	// once it's been released as it will be handed out again.
+	this.release = function(sprite) {
+		sprite.reset();
+		free.push(sprite);
+	};
+
+	// The number of sprites waiting in the pool to be used again.
+	this.getFreeCount = function() {
+		return free.length;
+	};
+
+	// The number of sprites the pool has had to create.
+	this.getCreatedCount = function() {
+		return created;
+	};
+}
@@ -0,0 +1,56 @@
+// A sprite that shows a piece of text rather than an image, e.g. the points
+// scored for destroying an enemy. It floats upwards and fades away, and is
+// done once its time is up. It has the same update/render/isDone methods as
+// our Sprite class so it can be managed in the same way.
+// Parameters:
+//	text - the text to show
+//	top, left - where the centre of the text starts on the canvas
+//	colour - the colour of the text (default white)
+//	lifeFrames - how many frames the text is shown for (default 60)
+function TextSprite(text, top, left, colour, lifeFrames) {
+	var theText = text;
+	var theColour = colour || "white";
+	var life = lifeFrames || 60;
+	var RISE_PER_FRAME = 0.5;	// Pixels the text floats up each frame
+
+	var curPos = { top: top, left: left };
+	var age = 0;
+	var done = false;
+
+	this.update = function(framesElapsed) {
+		age += framesElapsed;
+		curPos.top -= RISE_PER_FRAME*framesElapsed;
+		done = done || age >= life;
+	};
+
+	this.render = function(drawCtx) {
+		if ( !done ) {
+			drawCtx.save();
+			// Fade out over the second half of our life
+			drawCtx.globalAlpha = Math.min(1, 2*(1 - age/life));
+			drawCtx.font = "bold 14px 'Courier New', monospace";
+			drawCtx.textAlign = "center";
+			drawCtx.textBaseline = "middle";
+			drawCtx.fillStyle = theColour;
+			drawCtx.fillText(theText, curPos.left, curPos.top);
+			drawCtx.restore();
+		}
+	};
+
+	this.setPosition = function(top, left) {
+		curPos.top = top;
+		curPos.left = left;
+	};
+
+	this.getPosition = function() {
+		return { top: curPos.top, left: curPos.left };
+	};
+
+	this.isDone = function() {
+		return done;
+	};
+
+	this.setDone = function(status) {
+		done = status;
+	};
+}
@@ -0,0 +1,84 @@
+// The weapons that the player's gunship can carry. Each weapon type has:
+//	name - the name shown in the HUD
+//	letter, colour - how the weapon's power-up looks
+//	dropWeight - how likely this weapon's power-up is to drop compared to the others
+//	levels - the weapon at each upgrade level. Collecting a power-up for the
+//	         weapon you already have moves you up a level. Each level has:
+//		fireDelay - milliseconds between shots
+//		damage - hit points taken from an enemy by each bullet
+//		shots - the bullets fired each time, each one:
+//			angle - degrees from straight ahead, negative is up and positive is down
+//			speed - pixels per frame
+//			offset - (optional) pixels above (negative) or below the usual starting point
+//			piercing - (optional) true if the bullet carries on through enemies
+//			homing - (optional) true if the bullet steers towards the nearest enemy
+//		beam - instead of shots, a beam from the front of the gunship right across
+//		       the screen that stays on while FIRE is held down. It damages each
+//		       enemy it touches once every fireDelay milliseconds. It has:
+//			thickness - pixels
+//			colour - the colour of the beam
+var WEAPON_TYPES = {
+	standard: {
+		name: "Gunship",
+		letter: "G",
+		colour: "#3a3",
+		dropWeight: 2,
+		levels: [
+			{ fireDelay: 250, damage: 1, shots: [ { angle: 0, speed: 5 }, { angle: -90, speed: 5 }, { angle: 90, speed: 5 } ] },
+			{ fireDelay: 200, damage: 1, shots: [ { angle: 0, speed: 5 }, { angle: -90, speed: 5 }, { angle: 90, speed: 5 } ] },
+			{ fireDelay: 200, damage: 1, shots: [ { angle: 0, speed: 5 }, { angle: -30, speed: 5 }, { angle: 30, speed: 5 },
+												  { angle: -90, speed: 5 }, { angle: 90, speed: 5 } ] }
+		]
+	},
+	spread: {
+		name: "Spread",
+		letter: "S",
+		colour: "#c60",
+		dropWeight: 3,
+		levels: [
+			{ fireDelay: 300, damage: 1, shots: [ { angle: -15, speed: 5 }, { angle: 0, speed: 5 }, { angle: 15, speed: 5 } ] },
+			{ fireDelay: 300, damage: 1, shots: [ { angle: -20, speed: 5 }, { angle: -10, speed: 5 }, { angle: 0, speed: 5 },
+												  { angle: 10, speed: 5 }, { angle: 20, speed: 5 } ] },
+			{ fireDelay: 250, damage: 1, shots: [ { angle: -30, speed: 5 }, { angle: -20, speed: 5 }, { angle: -10, speed: 5 },
+												  { angle: 0, speed: 5 }, { angle: 10, speed: 5 }, { angle: 20, speed: 5 },
+												  { angle: 30, speed: 5 } ] }
+		]
+	},
+	rapid: {
+		name: "Rapid",
+		letter: "R",
+		colour: "#cc3",
+		dropWeight: 3,
+		levels: [
+			{ fireDelay: 120, damage: 1, shots: [ { angle: 0, speed: 7 } ] },
+			{ fireDelay: 90, damage: 1, shots: [ { angle: 0, speed: 7 } ] },
+			{ fireDelay: 80, damage: 1, shots: [ { angle: 0, speed: 7, offset: -5 }, { angle: 0, speed: 7, offset: 5 } ] }
+		]
+	},
+	laser: {
+		name: "Laser",
+		letter: "L",
+		colour: "#c3c",
+		dropWeight: 2,
+		levels: [
+			{ fireDelay: 200, damage: 1, beam: { thickness: 3, colour: "#f6f" } },
+			{ fireDelay: 150, damage: 1, beam: { thickness: 5, colour: "#f6f" } },
+			{ fireDelay: 150, damage: 2, beam: { thickness: 7, colour: "#f6f" } }
+		]
+	},
+	homing: {
+		name: "Homing",
+		letter: "H",
+		colour: "#39c",
+		dropWeight: 2,
+		levels: [
+			{ fireDelay: 600, damage: 2, shots: [ { angle: 0, speed: 4, homing: true } ] },
+			{ fireDelay: 500, damage: 2, shots: [ { angle: -20, speed: 4, homing: true }, { angle: 20, speed: 4, homing: true } ] },
+			{ fireDelay: 400, damage: 2, shots: [ { angle: -30, speed: 4, homing: true }, { angle: 0, speed: 4, homing: true },
+												  { angle: 30, speed: 4, homing: true } ] }
+		]
+	}
+};
+
+// The chance (0 to 1) that a destroyed enemy drops a power-up.
+var POWER_UP_DROP_CHANCE = 0.1;